@@ -0,0 +1,18 @@
+const { JOB_STATUS, getJobTable, getReviewJob, updateReviewJob } = require('../shared/reviewJobs');
+require('dotenv/config');
+
+/**
+ * Azure Function for review jobs that failed on every attempt
+ *
+ * Marks the job as failed, so the next webhook for the same PR iteration queues it again.
+ * @param {Object} context - Azure Function context
+ * @param {Object} job - Review job from the poison queue
+ */
+module.exports = async function (context, job) {
+    const jobTable = await getJobTable(process.env.AzureWebJobsStorage);
+    const record = await getReviewJob(jobTable, job);
+    const lastError = record?.error || 'unknown error';
+
+    context.log.error(`Giving up on review job ${job.jobId} for PR ${job.pullRequestId} after ${record?.attempts || 'several'} attempt(s): ${lastError}`);
+    await updateReviewJob(jobTable, job, { status: JOB_STATUS.FAILED });
+};
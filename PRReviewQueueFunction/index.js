@@ -0,0 +1,56 @@
+const { buildReviewConfig, getConfigError, processPullRequest, processCommand } = require('../shared/pullRequestReview');
+const { JOB_STATUS, getJobTable, getReviewJob, updateReviewJob } = require('../shared/reviewJobs');
+require('dotenv/config');
+
+/**
+ * Azure Function that runs queued PR reviews
+ *
+ * Failed reviews are rethrown so the runtime retries them; after host.json's maxDequeueCount
+ * the message moves to the poison queue, where PRReviewPoisonFunction marks the job as failed.
+ * @param {Object} context - Azure Function context
+ * @param {Object} job - Queued review job
+ */
+module.exports = async function (context, job) {
+    const attempt = context.bindingData.dequeueCount || 1;
+    context.log(`Processing ${job.command ? `@ai ${job.command.name}` : 'review'} job ${job.jobId} ` +
+        `for PR ${job.pullRequestId} (attempt ${attempt})`);
+
+    const jobTable = await getJobTable(process.env.AzureWebJobsStorage);
+
+    // Queue messages can be delivered more than once
+    const record = await getReviewJob(jobTable, job);
+    if (record?.status === JOB_STATUS.COMPLETED) {
+        context.log(`Review job ${job.jobId} has already completed, skipping`);
+        return;
+    }
+
+    await updateReviewJob(jobTable, job, { status: JOB_STATUS.RUNNING, attempts: attempt });
+
+    try {
+        const config = buildReviewConfig(process.env, job);
+        const configError = getConfigError(process.env, config);
+        if (configError) throw new Error(configError);
+
+        const result = job.command
+            ? await processCommand(context, config, job.command)
+            : await processPullRequest(context, config);
+        context.log(result.message);
+        await updateReviewJob(jobTable, job, {
+            status: JOB_STATUS.COMPLETED,
+            message: result.message,
+            error: '',
+            // Reviews that stop early, e.g. on draft PRs, make no model requests
+            ...(result.usage && {
+                promptTokens: result.usage.promptTokens,
+                completionTokens: result.usage.completionTokens,
+                cost: result.usage.cost
+            })
+        });
+    } catch (error) {
+        const errorMsg = `PR review failed: ${error.message || error}`;
+        context.log.error(errorMsg);
+        context.log.error('Stack trace:', error.stack);
+        await updateReviewJob(jobTable, job, { status: JOB_STATUS.RETRYING, error: errorMsg });
+        throw error;
+    }
+};
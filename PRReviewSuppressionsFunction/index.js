@@ -0,0 +1,107 @@
+const {
+    getWebhookAuthSettings,
+    verifyWebhookCredentials,
+    verifyRepositoryAllowed
+} = require('../shared/webhookAuth');
+const { buildReviewConfig } = require('../shared/pullRequestReview');
+const { getRepositoryKey, getSuppressionStore } = require('../shared/suppressions');
+const { SCM_PROVIDERS } = require('../shared/scmProviders');
+require('dotenv/config');
+
+/**
+ * Azure Function to list and clear the suppressions learned from dismissed AI findings
+ *
+ * GET suppressions/{organization}/{project}/{repository} lists a repository's suppressions;
+ * DELETE removes one suppression by ID, or all of them when no ID is given. "?provider=github" or
+ * "?provider=gitlab" picks the repository host (defaults to Azure DevOps).
+ * @param {Object} context - Azure Function context
+ * @param {Object} req - HTTP request
+ */
+module.exports = async function (context, req) {
+    try {
+        // Same credentials as the webhook, on top of the function key
+        const authSettings = getWebhookAuthSettings(process.env);
+        const authFailure = verifyWebhookCredentials(req, authSettings);
+        if (authFailure) {
+            context.log.warn(authFailure.message);
+            context.res = {
+                status: authFailure.status,
+                headers: { 'WWW-Authenticate': 'Basic realm="PR Review"' },
+                body: authFailure.message
+            };
+            return;
+        }
+
+        // GitLab namespaces contain "/", which has to be sent encoded as %2F to fit in one route segment
+        let segments;
+        try {
+            segments = [req.params.organization, req.params.project, req.params.repository].map(decodeURIComponent);
+        } catch (error) {
+            context.res = {
+                status: 400,
+                body: `Invalid repository path: ${error.message} (encode "%" in names as %25)`
+            };
+            return;
+        }
+        const [organization, project, repository] = segments;
+        const id = req.params.id;
+
+        const provider = (req.query?.provider || 'azure').toLowerCase();
+        if (!SCM_PROVIDERS.includes(provider)) {
+            context.res = {
+                status: 400,
+                body: `Invalid provider: ${provider}. Valid values: ${SCM_PROVIDERS.join(', ')}`
+            };
+            return;
+        }
+
+        const accessFailure = verifyRepositoryAllowed({ organization, project, repository }, authSettings);
+        if (accessFailure) {
+            context.log.warn(accessFailure.message);
+            context.res = {
+                status: accessFailure.status,
+                body: accessFailure.message
+            };
+            return;
+        }
+
+        const config = buildReviewConfig(process.env, { provider, organization, project, repository });
+        const store = getSuppressionStore(config);
+        if (!store) {
+            context.res = {
+                status: 404,
+                body: "Suppressions are turned off (SUPPRESSION_STORE is 'none')"
+            };
+            return;
+        }
+
+        const repositoryKey = getRepositoryKey(provider, organization, project, repository);
+        const json = body => ({ status: 200, headers: { 'Content-Type': 'application/json' }, body });
+
+        if (req.method === 'GET') {
+            const suppressions = await store.list(repositoryKey);
+            context.res = json({ repository: `${organization}/${project}/${repository}`, suppressions });
+            return;
+        }
+
+        if (id) {
+            const deleted = await store.remove(repositoryKey, id);
+            context.log(`${deleted ? 'Deleted' : 'No'} suppression ${id} for ${organization}/${project}/${repository}`);
+            context.res = deleted
+                ? json({ deleted: 1 })
+                : { status: 404, body: `Suppression ${id} not found` };
+            return;
+        }
+
+        const deleted = await store.clear(repositoryKey);
+        context.log(`Cleared ${deleted} suppression(s) for ${organization}/${project}/${repository}`);
+        context.res = json({ deleted });
+    } catch (error) {
+        const errorMsg = `Failed to manage suppressions: ${error.message || error}`;
+        context.log.error(errorMsg);
+        context.res = {
+            status: 500,
+            body: errorMsg
+        };
+    }
+};
@@ -0,0 +1,94 @@
+const {
+    getWebhookAuthSettings,
+    verifyWebhookCredentials,
+    verifyRepositoryAllowed
+} = require('../shared/webhookAuth');
+const { SCM_PROVIDERS } = require('../shared/scmProviders');
+const { createReviewJob } = require('../shared/reviewJobs');
+const { isDryRunRequest, submitReviewJob } = require('../shared/reviewRequests');
+require('dotenv/config');
+
+/**
+ * Azure Function to start a PR review by hand instead of from a webhook
+ *
+ * POST reviews/{organization}/{project}/{repository}/{pullRequestId} queues a review of the PR like a
+ * webhook would; "?provider=github" or "?provider=gitlab" picks the repository host (defaults to Azure DevOps)
+ * and "?dryRun=true" answers with what the review would post instead.
+ * @param {Object} context - Azure Function context
+ * @param {Object} req - HTTP request
+ */
+module.exports = async function (context, req) {
+    try {
+        // Same credentials as the webhook, on top of the function key
+        const authSettings = getWebhookAuthSettings(process.env);
+        const authFailure = verifyWebhookCredentials(req, authSettings);
+        if (authFailure) {
+            context.log.warn(authFailure.message);
+            context.res = {
+                status: authFailure.status,
+                headers: { 'WWW-Authenticate': 'Basic realm="PR Review"' },
+                body: authFailure.message
+            };
+            return;
+        }
+
+        // GitLab namespaces contain "/", which has to be sent encoded as %2F to fit in one route segment
+        let segments;
+        try {
+            segments = [req.params.organization, req.params.project, req.params.repository].map(decodeURIComponent);
+        } catch (error) {
+            context.res = {
+                status: 400,
+                body: `Invalid repository path: ${error.message} (encode "%" in names as %25)`
+            };
+            return;
+        }
+        const [organization, project, repository] = segments;
+        const pullRequestId = Number(req.params.pullRequestId);
+        if (!Number.isInteger(pullRequestId) || pullRequestId <= 0) {
+            context.res = {
+                status: 400,
+                body: `Invalid PR ID: ${req.params.pullRequestId}`
+            };
+            return;
+        }
+
+        const provider = (req.query?.provider || 'azure').toLowerCase();
+        if (!SCM_PROVIDERS.includes(provider)) {
+            context.res = {
+                status: 400,
+                body: `Invalid provider: ${provider}. Valid values: ${SCM_PROVIDERS.join(', ')}`
+            };
+            return;
+        }
+
+        const location = { organization, project, repository };
+        const accessFailure = verifyRepositoryAllowed(location, authSettings);
+        if (accessFailure) {
+            context.log.warn(accessFailure.message);
+            context.res = {
+                status: accessFailure.status,
+                body: accessFailure.message
+            };
+            return;
+        }
+
+        // Without a source commit the job isn't matched with webhook jobs, so a manual review always runs;
+        // it still skips iterations that were already reviewed
+        const job = createReviewJob({
+            provider,
+            ...location,
+            pullRequestId,
+            dryRun: isDryRunRequest(req)
+        });
+        context.res = await submitReviewJob(context, job, process.env);
+    } catch (error) {
+        const errorMsg = `Failed to start PR review: ${error.message || error}`;
+        context.log.error(errorMsg);
+        context.log.error('Stack trace:', error.stack);
+        context.res = {
+            status: 500,
+            body: errorMsg
+        };
+    }
+};
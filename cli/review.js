@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { getConfigError } = require('../shared/pullRequestReview');
+const { buildLocalReviewConfig, reviewLocalChanges } = require('../shared/localReview');
+const { REPORT_FORMATTERS } = require('../shared/localReport');
+const { openLocalRepository } = require('../shared/localGit');
+require('dotenv/config');
+
+// Exit codes: findings at or above the failing severity, and runs that could not review at all
+const EXIT_BLOCKING_FINDINGS = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: ai-review [options] [<base> [<head>]]
+
+Reviews local git changes with the configured guidelines and model, and prints the findings.
+
+  ai-review                   Uncommitted changes, including untracked files, against HEAD
+  ai-review --staged          Staged changes against HEAD, e.g. in a pre-commit hook
+  ai-review main              The working tree against where it branched off main
+  ai-review main feature      Commits on feature since it branched off main
+
+Options:
+  --staged                    Review the staged changes instead of the working tree
+  --format <format>           text, markdown or json (defaults to text)
+  --guidelines <sources>      Comma-separated guideline paths or URLs (overrides INSTRUCTION_SOURCE)
+  --model <type>              Model provider, as MODEL_TYPE
+  --fail-on <severity>        Exit with ${EXIT_BLOCKING_FINDINGS} on findings at or above this severity (defaults to FAIL_ON_SEVERITY or blocker)
+  --min-severity <severity>   Only report findings at or above this severity (defaults to SEVERITY_THRESHOLD or nit)
+  --quiet                     Don't print progress
+  -h, --help                  Show this help
+
+Settings are read from environment variables and a .env file like the function's. Progress goes to
+stderr and the report to stdout. Exits with ${EXIT_ERROR} when the review can't run or a file couldn't be
+reviewed.`;
+
+// Flags that take the place of an environment variable, and the configuration they set
+const FLAG_SETTINGS = {
+    guidelines: { env: 'INSTRUCTION_SOURCE', config: 'GUIDELINE_SOURCES' },
+    model: { env: 'MODEL_TYPE', config: 'MODEL_TYPE' },
+    'fail-on': { env: 'FAIL_ON_SEVERITY', config: 'FAIL_ON_SEVERITY' },
+    'min-severity': { env: 'SEVERITY_THRESHOLD', config: 'SEVERITY_THRESHOLD' }
+};
+
+/**
+ * Read the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{values: Object, positionals: string[]}} - Parsed options and refs
+ */
+function parseCommandLine(args) {
+    return parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            staged: { type: 'boolean' },
+            format: { type: 'string', default: 'text' },
+            guidelines: { type: 'string' },
+            model: { type: 'string' },
+            'fail-on': { type: 'string' },
+            'min-severity': { type: 'string' },
+            quiet: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+}
+
+/**
+ * Create the logger the review writes its progress to
+ * @param {boolean} quiet - Whether to leave out progress messages
+ * @returns {Object} - Logger with log, log.warn and log.error, like an Azure Function context
+ */
+function createCliContext(quiet) {
+    const log = quiet ? () => {} : (...args) => console.error(...args);
+    return { log: Object.assign(log, { warn: console.error, error: console.error }) };
+}
+
+/**
+ * Review local changes and print the report
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(args) {
+    let parsed;
+    try {
+        parsed = parseCommandLine(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    const formatReport = REPORT_FORMATTERS[values.format];
+    if (!formatReport) {
+        console.error(`Invalid format: ${values.format}. Valid values: ${Object.keys(REPORT_FORMATTERS).join(', ')}`);
+        return EXIT_ERROR;
+    }
+    if (positionals.length > 2 || (values.staged && positionals.length > 1)) {
+        console.error(`Too many refs\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+
+    // The report owns stdout; review progress logged by shared code goes to stderr with the rest
+    const context = createCliContext(values.quiet);
+    console.log = context.log;
+
+    const env = { ...process.env };
+    for (const [flag, setting] of Object.entries(FLAG_SETTINGS)) {
+        if (values[flag] !== undefined) env[setting.env] = values[flag];
+    }
+
+    try {
+        const repository = await openLocalRepository({
+            base: positionals[0],
+            head: positionals[1],
+            staged: values.staged
+        });
+        const config = buildLocalReviewConfig(env, repository);
+        const configError = getConfigError(env, config);
+        if (configError) {
+            console.error(configError);
+            return EXIT_ERROR;
+        }
+
+        const overrides = {};
+        for (const [flag, setting] of Object.entries(FLAG_SETTINGS)) {
+            if (values[flag] !== undefined) overrides[setting.config] = config[setting.config];
+        }
+
+        const result = await reviewLocalChanges(context, config, repository, overrides);
+        process.stdout.write(`${formatReport(result)}\n`);
+        // A file the model couldn't analyze may hide findings, so it can't count as passing
+        if (result.failedFiles.length > 0) return EXIT_ERROR;
+        return result.status.state === 'failed' ? EXIT_BLOCKING_FINDINGS : 0;
+    } catch (error) {
+        console.error(`Review failed: ${error.message || error}`);
+        return EXIT_ERROR;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = main;
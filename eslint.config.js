@@ -0,0 +1,37 @@
+// Node globals the code relies on; the project has no browser code
+const NODE_GLOBALS = [
+    'require', 'module', 'exports', 'process', 'console', 'Buffer', '__dirname', '__filename',
+    'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'setImmediate',
+    'URL', 'URLSearchParams', 'AbortController', 'AbortSignal', 'TextEncoder', 'TextDecoder', 'fetch', 'structuredClone'
+];
+
+module.exports = [
+    {
+        ignores: ['node_modules/**']
+    },
+    {
+        files: ['**/*.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'commonjs',
+            globals: Object.fromEntries(NODE_GLOBALS.map(name => [name, 'readonly']))
+        },
+        rules: {
+            'no-undef': 'error',
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }],
+            'no-unreachable': 'error',
+            'no-dupe-keys': 'error',
+            'no-redeclare': 'error',
+            'no-const-assign': 'error',
+            'no-self-assign': 'error',
+            'no-self-compare': 'error',
+            'no-debugger': 'error',
+            'no-constant-condition': ['error', { checkLoops: false }],
+            'no-fallthrough': 'error',
+            'no-empty': ['error', { allowEmptyCatch: true }],
+            'no-var': 'error',
+            'prefer-const': 'error',
+            eqeqeq: ['error', 'always', { null: 'ignore' }]
+        }
+    }
+];
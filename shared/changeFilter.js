@@ -0,0 +1,104 @@
+const { minimatch } = require('minimatch');
+
+// Files that are never worth sending to the model, matched against the file name at any depth
+const IGNORED_FILE_PATTERNS = [
+    // Lockfiles
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'bun.lockb',
+    'composer.lock',
+    'Gemfile.lock',
+    'Cargo.lock',
+    'poetry.lock',
+    'Pipfile.lock',
+    'go.sum',
+    'packages.lock.json',
+    'paket.lock',
+    // Minified bundles and generated code
+    '*.min.js',
+    '*.min.css',
+    '*.min.mjs',
+    '*.bundle.js',
+    '*.map',
+    '*.designer.cs',
+    '*.g.cs',
+    '*.g.i.cs',
+    '*.generated.*',
+    '*_pb2.py',
+    '*.pb.go',
+    '*.snap'
+];
+
+const BINARY_EXTENSIONS = new Set([
+    'png', 'jpg', 'jpeg', 'gif', 'bmp', 'ico', 'webp', 'tif', 'tiff', 'psd',
+    'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
+    'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'jar', 'war', 'nupkg',
+    'exe', 'dll', 'so', 'dylib', 'pdb', 'class', 'o', 'obj', 'a', 'lib', 'wasm',
+    'woff', 'woff2', 'ttf', 'otf', 'eot',
+    'mp3', 'mp4', 'wav', 'ogg', 'mov', 'avi', 'webm',
+    'sqlite', 'db', 'bin', 'dat'
+]);
+
+// Markers that code generators put near the top of the files they write
+const GENERATED_MARKERS = [
+    /@generated\b/,
+    /<auto-generated/i,
+    /\bDO NOT EDIT\b/,
+    /\bautomatically generated\b/i,
+    /\bauto-generated\b/i
+];
+
+const BINARY_SNIFF_LENGTH = 8000;
+const GENERATED_SNIFF_LINES = 5;
+// Lines this long are almost always minified or embedded data
+const MAX_AVERAGE_LINE_LENGTH = 500;
+
+/**
+ * Check a file path against the built-in ignore list
+ * @param {string} filePath - Repository file path
+ * @returns {string|null} - Reason for skipping the file, or null if it should be reviewed
+ */
+function getPathSkipReason(filePath) {
+    const fileName = filePath.split('/').pop();
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+    if (BINARY_EXTENSIONS.has(extension)) {
+        return 'binary file';
+    }
+    if (IGNORED_FILE_PATTERNS.some(pattern => minimatch(fileName, pattern, { dot: true, nocase: true }))) {
+        return 'lockfile or generated file';
+    }
+    return null;
+}
+
+/**
+ * Check file content for binary data, excessive size and generated code markers
+ * @param {string} content - File content
+ * @param {number} maxFileSize - Maximum size in characters
+ * @returns {string|null} - Reason for skipping the file, or null if it should be reviewed
+ */
+function getContentSkipReason(content, maxFileSize) {
+    if (content.slice(0, BINARY_SNIFF_LENGTH).includes('\u0000')) {
+        return 'binary file';
+    }
+    if (content.length > maxFileSize) {
+        return `file too large (${Math.ceil(content.length / 1024)} KB)`;
+    }
+
+    const lines = content.split(/\r?\n/);
+    const header = lines.slice(0, GENERATED_SNIFF_LINES).join('\n');
+    if (GENERATED_MARKERS.some(marker => marker.test(header))) {
+        return 'generated file';
+    }
+    if (content.length / lines.length > MAX_AVERAGE_LINE_LENGTH) {
+        return 'minified file';
+    }
+    return null;
+}
+
+module.exports = {
+    getPathSkipReason,
+    getContentSkipReason
+};
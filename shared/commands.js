@@ -0,0 +1,211 @@
+// Commands that can be given by replying "@ai <command>" to an AI finding thread
+const COMMANDS = {
+    explain: 'explain the finding in more detail, answering any question after the command',
+    fix: 'suggest a fix for the flagged lines',
+    ignore: "close the finding as won't fix",
+    rereview: 'check the current code again and resolve the finding if it was fixed'
+};
+
+// Azure DevOps sends "ms.vss-code.git-pullrequest-comment-event"; service hooks may be set up with the short name
+const COMMENT_EVENT_TYPES = ['git.pullrequest.comment-event', 'ms.vss-code.git-pullrequest-comment-event'];
+
+const COMMAND_PATTERN = /(?:^|\s)@ai\s+([a-z-]+)\b([\s\S]*)/i;
+const EXCERPT_CONTEXT_LINES = 10;
+
+const COMMAND_PROMPTS = {
+    explain: `
+        You reviewed a pull request and left the finding below. A developer replied with a question.
+
+        FINDING ON {filePath} LINES {startLine}-{endLine}:
+        {finding}
+
+        CONVERSATION SO FAR:
+        {conversation}
+
+        CURRENT CODE (line numbers on the left):
+        {code}
+
+        DEVELOPER'S QUESTION: {question}
+
+        Explain why the flagged code is a problem, what could go wrong and how to address it, answering the
+        question if there is one. If the code no longer has the problem, say so. Reply in concise markdown
+        without a heading.
+`,
+    fix: `
+        You reviewed a pull request and left the finding below. A developer asked for a fix.
+
+        FINDING ON {filePath} LINES {startLine}-{endLine}:
+        {finding}
+
+        CONVERSATION SO FAR:
+        {conversation}
+
+        CURRENT CODE (line numbers on the left):
+        {code}
+
+        DEVELOPER'S REQUEST: {question}
+
+        Write replacement code for lines {startLine} through {endLine} (inclusive) that fixes the finding.
+        Keep it minimal and keep the original indentation. Don't include line numbers.
+
+        RESPONSE FORMAT (JSON):
+        {{
+            "explanation": "<ONE OR TWO SENTENCES ON WHAT THE FIX CHANGES>",
+            "suggestion": "<REPLACEMENT_CODE>"
+        }}
+
+        {repairRequest}
+`,
+    rereview: `
+        You reviewed a pull request and left the finding below. A developer asked you to check the code again.
+
+        FINDING ON {filePath} LINES {startLine}-{endLine}:
+        {finding}
+
+        CONVERSATION SO FAR:
+        {conversation}
+
+        CURRENT CODE (line numbers on the left):
+        {code}
+
+        Decide whether the current code still has the problem the finding describes.
+
+        RESPONSE FORMAT (JSON):
+        {{
+            "resolved": true | false,
+            "reply": "<SHORT EXPLANATION>"
+        }}
+
+        {repairRequest}
+`
+};
+
+/**
+ * Find an "@ai <command>" in a comment
+ * @param {string} content - Comment content
+ * @returns {{name: string, question: string}|null} - Command name, lower-cased, and any text after it,
+ *   or null if the comment doesn't address the bot
+ */
+function parseCommand(content) {
+    // The bot's own replies may quote commands
+    if (!content || content.startsWith('[AI Review]')) return null;
+
+    const match = content.match(COMMAND_PATTERN);
+    if (!match) return null;
+    return { name: match[1].toLowerCase(), question: match[2].trim() };
+}
+
+/**
+ * Read the thread ID of a comment from a comment event's links
+ * @param {Object} comment - Comment from the webhook payload
+ * @returns {number|null} - Thread ID, or null if the payload doesn't say
+ */
+function getCommentThreadId(comment) {
+    const links = comment?._links || {};
+    for (const link of [links.threads, links.self]) {
+        const match = link?.href?.match(/\/threads\/(\d+)/);
+        if (match) return Number(match[1]);
+    }
+    return null;
+}
+
+/**
+ * List the available commands for a help reply
+ * @returns {string} - Markdown list
+ */
+function formatCommandHelp() {
+    return Object.entries(COMMANDS).map(([name, description]) => `- \`@ai ${name}\`: ${description}`).join('\n');
+}
+
+/**
+ * Render a thread's comments for a prompt, without hidden markers
+ * @param {Object[]} comments - Thread comments
+ * @returns {string} - One comment per paragraph, with its author
+ */
+function formatConversation(comments) {
+    return comments
+        .filter(comment => !comment.isDeleted && comment.content)
+        .sort((a, b) => a.id - b.id)
+        .map(comment => {
+            const author = comment.byReviewer ? 'AI reviewer' : (comment.author || 'Developer');
+            return `${author}: ${comment.content.replace(/<!--[\s\S]*?-->/g, '').trim()}`;
+        })
+        .join('\n\n');
+}
+
+/**
+ * Cut the lines around a finding out of a file, with line numbers
+ * @param {string} content - File content
+ * @param {number} startLine - First flagged line
+ * @param {number} endLine - Last flagged line
+ * @returns {string} - Numbered excerpt; flagged lines are marked with ">"
+ */
+function formatCodeExcerpt(content, startLine, endLine) {
+    const lines = content.split(/\r?\n/);
+    const first = Math.max(startLine - EXCERPT_CONTEXT_LINES, 1);
+    const last = Math.min(endLine + EXCERPT_CONTEXT_LINES, lines.length);
+    const excerpt = [];
+    for (let line = first; line <= last; line++) {
+        const marker = line >= startLine && line <= endLine ? '>' : ' ';
+        excerpt.push(`${marker}${String(line).padStart(5)} ${lines[line - 1]}`);
+    }
+    return excerpt.join('\n');
+}
+
+/**
+ * Check a parsed "@ai fix" response against the response format in its prompt
+ * @param {*} response - Parsed model response
+ * @returns {string[]} - Problems, empty when the response is valid
+ */
+function validateFixResponse(response) {
+    if (typeof response !== 'object' || response === null || Array.isArray(response)) {
+        return ['the response must be a JSON object with "explanation" and "suggestion"'];
+    }
+
+    const problems = [];
+    if (response.explanation !== undefined && typeof response.explanation !== 'string') {
+        problems.push('"explanation" must be a string');
+    }
+    if (typeof response.suggestion !== 'string' || !response.suggestion.trim()) {
+        problems.push('"suggestion" must be a non-empty string with the replacement code');
+    }
+    return problems;
+}
+
+/**
+ * Check a parsed "@ai rereview" response against the response format in its prompt
+ * @param {*} response - Parsed model response
+ * @returns {string[]} - Problems, empty when the response is valid
+ */
+function validateRereviewResponse(response) {
+    if (typeof response !== 'object' || response === null || Array.isArray(response)) {
+        return ['the response must be a JSON object with "resolved" and "reply"'];
+    }
+
+    const problems = [];
+    if (typeof response.resolved !== 'boolean') {
+        problems.push('"resolved" must be true or false');
+    }
+    if (typeof response.reply !== 'string' || !response.reply.trim()) {
+        problems.push('"reply" must be a non-empty string');
+    }
+    return problems;
+}
+
+// Commands answered in JSON, and how to check their answers
+const COMMAND_RESPONSE_VALIDATORS = {
+    fix: validateFixResponse,
+    rereview: validateRereviewResponse
+};
+
+module.exports = {
+    COMMANDS,
+    COMMENT_EVENT_TYPES,
+    COMMAND_PROMPTS,
+    COMMAND_RESPONSE_VALIDATORS,
+    parseCommand,
+    getCommentThreadId,
+    formatCommandHelp,
+    formatConversation,
+    formatCodeExcerpt
+};
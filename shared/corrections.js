@@ -0,0 +1,195 @@
+const { createPatch, createTwoFilesPatch, applyPatch, structuredPatch, FILE_HEADERS_ONLY } = require('diff');
+const babelParser = require('@babel/parser');
+
+const CORRECTION_BASE_MARKER = /<!--\s*ai-fix-base:\s*([0-9a-f]{40})\s*-->/i;
+// A file row of the description's table, e.g. "| `/src/app.js` | 3 | 1 |"
+const CORRECTION_ROW_PATTERN = /^\| `([^`]+)` \| \d+ \| \d+ \|$/gm;
+
+// Azure DevOps rejects PR descriptions longer than this
+const MAX_DESCRIPTION_LENGTH = 4000;
+
+/**
+ * Re-apply a correction on top of the file's current content
+ * @param {Object} correction - Correction with originalContent and correctedContent
+ * @param {string} currentContent - File content the correction will be committed on
+ * @returns {string|null} - Corrected current content, or null if the change no longer applies cleanly
+ */
+function rebaseCorrection(correction, currentContent) {
+    if (currentContent === correction.originalContent) {
+        return correction.correctedContent;
+    }
+
+    const patch = createPatch(correction.path, correction.originalContent, correction.correctedContent);
+    const result = applyPatch(currentContent, patch);
+    return result === false ? null : result;
+}
+
+/**
+ * Pick the parser plugins for a file, or null if the file type isn't checked
+ * @param {string} filePath - File path
+ * @returns {string[]|null} - Babel parser plugins
+ */
+function getParserPlugins(filePath) {
+    if (/\.(ts|mts|cts)$/i.test(filePath)) return ['typescript'];
+    if (/\.tsx$/i.test(filePath)) return ['typescript', 'jsx'];
+    if (/\.(js|mjs|cjs|jsx)$/i.test(filePath)) return ['jsx'];
+    return null;
+}
+
+/**
+ * Check whether content is syntactically valid for its file type
+ * @param {string} filePath - File path
+ * @param {string} content - File content
+ * @returns {string|null} - Syntax error, or null if the content parses or the type isn't checked
+ */
+function getSyntaxError(filePath, content) {
+    if (/\.json$/i.test(filePath)) {
+        try {
+            JSON.parse(content);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    const plugins = getParserPlugins(filePath);
+    if (!plugins) return null;
+
+    try {
+        babelParser.parse(content, {
+            sourceType: 'unambiguous',
+            allowReturnOutsideFunction: true,
+            plugins
+        });
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Validate a correction
+ * @param {string} filePath - File path
+ * @param {string} original - Original content
+ * @param {string} corrected - Corrected content
+ * @returns {string|null} - Reason the correction is rejected, or null if it is valid
+ */
+function validateCorrection(filePath, original, corrected) {
+    // Basic validation to prevent empty files
+    if (corrected.trim().length === 0) return 'correction would empty the file';
+    if (corrected === original) return 'correction makes no changes';
+
+    // Only blame the correction for syntax errors the original didn't already have
+    const syntaxError = getSyntaxError(filePath, corrected);
+    if (syntaxError && !getSyntaxError(filePath, original)) {
+        return `corrected file no longer parses: ${syntaxError}`;
+    }
+    return null;
+}
+
+/**
+ * Count added and removed lines of a correction
+ * @param {Object} correction - Correction with path, originalContent and correctedContent
+ * @returns {{added: number, removed: number}} - Line counts
+ */
+function countChangedLines(correction) {
+    const patch = structuredPatch(correction.path, correction.path, correction.originalContent, correction.correctedContent);
+    let added = 0;
+    let removed = 0;
+    for (const hunk of patch.hunks) {
+        for (const line of hunk.lines) {
+            if (line[0] === '+') added++;
+            if (line[0] === '-') removed++;
+        }
+    }
+    return { added, removed };
+}
+
+/**
+ * Render a correction as a unified diff
+ * @param {Object} correction - Correction with path, originalContent and correctedContent
+ * @returns {string} - Diff with "a/" and "b/" paths, like git's
+ */
+function formatCorrectionDiff(correction) {
+    return createTwoFilesPatch(
+        `a${correction.path}`,
+        `b${correction.path}`,
+        correction.originalContent,
+        correction.correctedContent,
+        undefined,
+        undefined,
+        { headerOptions: FILE_HEADERS_ONLY }
+    );
+}
+
+/**
+ * Read the source commit a correction PR was built on from its description
+ * @param {string} description - PR description
+ * @returns {string|null} - Commit ID, or null if the description has no marker
+ */
+function parseCorrectionBase(description) {
+    const match = (description || '').match(CORRECTION_BASE_MARKER);
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Read the corrected files listed in a correction PR's description
+ * @param {string} description - PR description
+ * @returns {string[]} - File paths
+ */
+function parseCorrectionPaths(description) {
+    return [...(description || '').matchAll(CORRECTION_ROW_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Build the description of a correction PR
+ * @param {PullRequestInfo} originalPR - PR the corrections were suggested for
+ * @param {Object[]} corrections - Corrections included in the PR
+ * @param {Object[]} rejected - Corrections left out, with the reason
+ * @param {string} baseCommitId - Source commit the corrections are based on
+ * @returns {string} - Markdown description
+ */
+function formatCorrectionDescription(originalPR, corrections, rejected, baseCommitId) {
+    const link = originalPR.url
+        ? `[${originalPR.reference} ${originalPR.title}](${originalPR.url})`
+        : `${originalPR.reference} ${originalPR.title}`;
+
+    const header = [
+        'Automated code improvements based on review guidelines.',
+        '',
+        `Original PR: ${link}`,
+        `Based on: ${baseCommitId.slice(0, 8)}`,
+        ''
+    ];
+    const footer = ['', `<!-- ai-fix-base: ${baseCommitId} -->`];
+
+    const body = ['| File | Added | Removed |', '|---|---:|---:|'];
+    for (const correction of corrections) {
+        const { added, removed } = countChangedLines(correction);
+        body.push(`| \`${correction.path}\` | ${added} | ${removed} |`);
+    }
+    if (rejected.length > 0) {
+        body.push('', 'Left out:');
+        for (const file of rejected) {
+            body.push(`- \`${file.path}\`: ${file.reason}`);
+        }
+    }
+
+    // Trim the file list rather than the marker, which is needed to find this PR again
+    const fixedLength = header.join('\n').length + footer.join('\n').length + 2;
+    let bodyText = body.join('\n');
+    if (fixedLength + bodyText.length > MAX_DESCRIPTION_LENGTH) {
+        bodyText = bodyText.slice(0, MAX_DESCRIPTION_LENGTH - fixedLength - 20) + '\n\n_(list truncated)_';
+    }
+
+    return [...header, bodyText, ...footer].join('\n');
+}
+
+module.exports = {
+    rebaseCorrection,
+    validateCorrection,
+    parseCorrectionBase,
+    parseCorrectionPaths,
+    formatCorrectionDescription,
+    formatCorrectionDiff
+};
@@ -0,0 +1,243 @@
+const { structuredPatch } = require('diff');
+
+// Interfaces for diff hunks and prompt chunks
+/**
+ * @typedef {Object} DiffLine
+ * @property {'context'|'add'|'remove'} type - Kind of line
+ * @property {string} text - Line text without the diff marker
+ * @property {number|null} oldLine - Line number in the old file, null for added lines
+ * @property {number|null} newLine - Line number in the new file, null for removed lines
+ */
+
+/**
+ * @typedef {Object} DiffHunk
+ * @property {number} oldStart - First line of the hunk in the old file
+ * @property {number} newStart - First line of the hunk in the new file
+ * @property {DiffLine[]} lines - Lines of the hunk
+ */
+
+/**
+ * @typedef {Object} DiffChunk
+ * @property {DiffHunk[]} hunks - Hunks that fit in one prompt
+ * @property {string} text - Hunks formatted for the prompt
+ * @property {Set<number>} changedLines - New file line numbers added or modified in this chunk
+ * @property {Set<number>} visibleLines - New file line numbers shown in this chunk, including context
+ */
+
+/**
+ * @typedef {Object} LineEdit
+ * @property {number} startLine - First new file line to replace
+ * @property {number} endLine - Last new file line to replace (inclusive)
+ * @property {string} content - Replacement text
+ */
+
+/**
+ * Rough token estimate used to keep prompts under the model's context window
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Normalize line endings so both versions diff line by line
+ * @param {string} content - File content
+ * @returns {string} - Content with LF line endings
+ */
+function normalizeLineEndings(content) {
+    return (content || '').replace(/\r\n/g, '\n');
+}
+
+/**
+ * Build unified diff hunks between two versions of a file
+ * @param {string} oldContent - Old file content
+ * @param {string} newContent - New file content
+ * @param {number} contextLines - Unchanged lines to keep around each change
+ * @returns {DiffHunk[]} - Changed hunks with line numbers for both versions
+ */
+function createHunks(oldContent, newContent, contextLines) {
+    const patch = structuredPatch(
+        'old',
+        'new',
+        normalizeLineEndings(oldContent),
+        normalizeLineEndings(newContent),
+        undefined,
+        undefined,
+        { context: contextLines }
+    );
+
+    return patch.hunks.map(hunk => {
+        let oldLine = hunk.oldStart;
+        let newLine = hunk.newStart;
+        const lines = [];
+
+        for (const line of hunk.lines) {
+            const marker = line[0];
+            const text = line.slice(1);
+
+            if (marker === '+') {
+                lines.push({ type: 'add', text, oldLine: null, newLine: newLine++ });
+            } else if (marker === '-') {
+                lines.push({ type: 'remove', text, oldLine: oldLine++, newLine: null });
+            } else if (marker === ' ') {
+                lines.push({ type: 'context', text, oldLine: oldLine++, newLine: newLine++ });
+            }
+            // "\ No newline at end of file" markers carry no code and are dropped
+        }
+
+        return { oldStart: hunk.oldStart, newStart: hunk.newStart, lines };
+    });
+}
+
+/**
+ * Find the lines a change added or modified
+ * @param {string} oldContent - Old file content
+ * @param {string} newContent - New file content
+ * @returns {Set<number>} - New file line numbers
+ */
+function getChangedLines(oldContent, newContent) {
+    const changedLines = new Set();
+    for (const hunk of createHunks(oldContent, newContent, 0)) {
+        for (const line of hunk.lines) {
+            if (line.type === 'add') changedLines.add(line.newLine);
+        }
+    }
+    return changedLines;
+}
+
+/**
+ * Format a hunk for the prompt, prefixing each line with its new file line number
+ * @param {DiffHunk} hunk - Hunk to format
+ * @returns {string} - Formatted hunk
+ */
+function formatHunk(hunk) {
+    const oldCount = hunk.lines.filter(line => line.type !== 'add').length;
+    const newCount = hunk.lines.filter(line => line.type !== 'remove').length;
+    const header = `@@ -${hunk.oldStart},${oldCount} +${hunk.newStart},${newCount} @@`;
+
+    const body = hunk.lines.map(line => {
+        const lineNumber = line.newLine === null ? '' : String(line.newLine);
+        const marker = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' ';
+        return `${lineNumber.padStart(6)} |${marker}${line.text}`;
+    });
+
+    return [header, ...body].join('\n');
+}
+
+/**
+ * Split a hunk that is too large for a single prompt into smaller hunks
+ * @param {DiffHunk} hunk - Hunk to split
+ * @param {number} tokenBudget - Maximum tokens per piece
+ * @returns {DiffHunk[]} - Hunks that each fit in the budget
+ */
+function splitHunk(hunk, tokenBudget) {
+    const pieces = [];
+    let current = [];
+    let currentTokens = 0;
+
+    const flush = () => {
+        if (current.length === 0) return;
+        const firstOld = current.find(line => line.oldLine !== null)?.oldLine;
+        const firstNew = current.find(line => line.newLine !== null)?.newLine;
+        pieces.push({
+            oldStart: firstOld ?? hunk.oldStart,
+            newStart: firstNew ?? hunk.newStart,
+            lines: current
+        });
+        current = [];
+        currentTokens = 0;
+    };
+
+    for (const line of hunk.lines) {
+        // Line number column and marker add roughly 10 characters per line
+        const lineTokens = estimateTokens(line.text) + 3;
+        if (currentTokens + lineTokens > tokenBudget) flush();
+        current.push(line);
+        currentTokens += lineTokens;
+    }
+    flush();
+
+    return pieces;
+}
+
+/**
+ * Group hunks into prompt-sized chunks
+ * @param {DiffHunk[]} hunks - Hunks to group
+ * @param {number} tokenBudget - Maximum tokens of diff per chunk
+ * @returns {DiffChunk[]} - Chunks in file order
+ */
+function chunkHunks(hunks, tokenBudget) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    const flush = () => {
+        if (current.length === 0) return;
+        const changedLines = new Set();
+        const visibleLines = new Set();
+        for (const hunk of current) {
+            for (const line of hunk.lines) {
+                if (line.type === 'add') changedLines.add(line.newLine);
+                if (line.newLine !== null) visibleLines.add(line.newLine);
+            }
+        }
+        chunks.push({
+            hunks: current,
+            text: current.map(formatHunk).join('\n\n'),
+            changedLines,
+            visibleLines
+        });
+        current = [];
+        currentTokens = 0;
+    };
+
+    for (const hunk of hunks) {
+        const pieces = estimateTokens(formatHunk(hunk)) > tokenBudget
+            ? splitHunk(hunk, tokenBudget)
+            : [hunk];
+
+        for (const piece of pieces) {
+            const pieceTokens = estimateTokens(formatHunk(piece));
+            if (currentTokens + pieceTokens > tokenBudget) flush();
+            current.push(piece);
+            currentTokens += pieceTokens;
+        }
+    }
+    flush();
+
+    return chunks;
+}
+
+/**
+ * Apply line range replacements to file content
+ * @param {string} content - New file content
+ * @param {LineEdit[]} edits - Replacements keyed by new file line numbers
+ * @returns {string} - Content with the edits applied; overlapping edits are skipped
+ */
+function applyEdits(content, edits) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+
+    // Apply bottom-up so earlier line numbers stay valid
+    const sorted = [...edits].sort((a, b) => b.startLine - a.startLine);
+    let lowestStart = Infinity;
+
+    for (const edit of sorted) {
+        if (edit.endLine >= lowestStart) continue;
+        const replacement = normalizeLineEndings(edit.content).split('\n');
+        lines.splice(edit.startLine - 1, edit.endLine - edit.startLine + 1, ...replacement);
+        lowestStart = edit.startLine;
+    }
+
+    return lines.join(eol);
+}
+
+module.exports = {
+    estimateTokens,
+    createHunks,
+    getChangedLines,
+    formatHunk,
+    chunkHunks,
+    applyEdits
+};
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+
+// Ordered from most to least severe
+const SEVERITY_LEVELS = ['blocker', 'major', 'minor', 'nit'];
+
+const CATEGORIES = ['security', 'correctness', 'performance', 'maintainability', 'style', 'documentation', 'testing', 'accessibility'];
+
+const DEFAULT_SEVERITY = 'minor';
+const DEFAULT_CATEGORY = 'maintainability';
+
+const FINDING_MARKER = /<!--\s*ai-review-finding:\s*(\{.*?\})\s*-->/;
+
+// How far a finding may drift from an existing thread and still be the same issue
+const LINE_TOLERANCE = 5;
+// Minimum word overlap between two comments to treat them as the same issue
+const SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * @typedef {Object} ExistingFinding
+ * @property {number} threadId - Thread ID
+ * @property {number} line - Line the thread was anchored to when it was posted
+ * @property {string} [codeHash] - Hash of the flagged line when it was posted
+ * @property {string} category - Finding category
+ * @property {string} text - Comment text
+ */
+
+/**
+ * Normalize a severity returned by the model
+ * @param {string} severity - Severity from the model
+ * @returns {string} - One of SEVERITY_LEVELS
+ */
+function normalizeSeverity(severity) {
+    const value = String(severity || '').trim().toLowerCase();
+    return SEVERITY_LEVELS.includes(value) ? value : DEFAULT_SEVERITY;
+}
+
+/**
+ * Normalize a category returned by the model
+ * @param {string} category - Category from the model
+ * @returns {string} - One of CATEGORIES
+ */
+function normalizeCategory(category) {
+    const value = String(category || '').trim().toLowerCase();
+    return CATEGORIES.includes(value) ? value : DEFAULT_CATEGORY;
+}
+
+/**
+ * Check whether a severity is at or above a threshold
+ * @param {string} [severity] - Finding severity; findings without one always pass
+ * @param {string} threshold - Lowest severity that passes
+ * @returns {boolean} - Whether the severity meets the threshold
+ */
+function meetsSeverityThreshold(severity, threshold) {
+    const level = SEVERITY_LEVELS.indexOf(String(severity).toLowerCase());
+    if (level === -1) return true;
+    return level <= SEVERITY_LEVELS.indexOf(threshold);
+}
+
+/**
+ * Render a finding as PR comment content, with a hidden marker so it can be read back later
+ * @param {Object} finding - Finding with comment, severity, category and an optional suggestion
+ * @returns {string} - Comment content
+ */
+function formatFindingContent(finding) {
+    const label = finding.severity.charAt(0).toUpperCase() + finding.severity.slice(1);
+    const marker = { severity: finding.severity, category: finding.category };
+    if (finding.codeHash) marker.codeHash = finding.codeHash;
+
+    let content = `[AI Review] **${label}** (${finding.category}): ${finding.comment}\n\n`;
+    if (finding.suggestion !== undefined) {
+        // Azure DevOps offers an "Apply change" button for suggestion blocks on the anchored lines
+        content += `\`\`\`suggestion\n${finding.suggestion.replace(/\r\n/g, '\n')}\n\`\`\`\n\n`;
+    }
+    return content + `<!-- ai-review-finding: ${JSON.stringify(marker)} -->`;
+}
+
+/**
+ * Read the finding marker back from PR comment content
+ * @param {string} content - Comment content
+ * @returns {Object|null} - Severity and category, or null if the comment is not an AI finding
+ */
+function parseFindingMarker(content) {
+    const match = (content || '').match(FINDING_MARKER);
+    if (!match) return null;
+
+    try {
+        return JSON.parse(match[1]);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Hash a line of code, ignoring whitespace, so the flagged line can be found again after it moves
+ * @param {string} line - Line of code
+ * @returns {string} - Short hash
+ */
+function hashCodeLine(line) {
+    const normalized = String(line || '').trim().replace(/\s+/g, ' ');
+    return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 12);
+}
+
+/**
+ * Reduce comment text to a set of significant words for fuzzy comparison
+ * @param {string} text - Comment text
+ * @returns {Set<string>} - Normalized words
+ */
+function fingerprint(text) {
+    const words = String(text || '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/```suggestion[\s\S]*?```/g, '')
+        .replace(/\[AI Review\]\s*(\*\*\w+\*\*\s*\(\w+\):)?/g, '')
+        .toLowerCase()
+        .match(/[a-z0-9_.]+/g) || [];
+    return new Set(words.filter(word => word.length > 2));
+}
+
+/**
+ * Word overlap between two comments
+ * @param {Set<string>} a - First fingerprint
+ * @param {Set<string>} b - Second fingerprint
+ * @returns {number} - Jaccard similarity between 0 and 1
+ */
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const word of a) {
+        if (b.has(word)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Find where a flagged line is now, preferring the occurrence closest to where it was
+ * @param {string[]} lines - Current file lines
+ * @param {string} codeHash - Hash of the flagged line
+ * @param {number} originalLine - Line the thread was anchored to
+ * @returns {number|null} - Current line number, or null if the flagged code is gone
+ */
+function locateFlaggedLine(lines, codeHash, originalLine) {
+    let best = null;
+    lines.forEach((line, index) => {
+        if (hashCodeLine(line) !== codeHash) return;
+        const lineNumber = index + 1;
+        if (best === null || Math.abs(lineNumber - originalLine) < Math.abs(best - originalLine)) {
+            best = lineNumber;
+        }
+    });
+    return best;
+}
+
+/**
+ * Match new findings for a file against the AI threads already open on it
+ * @param {Object[]} findings - Findings from this review, with line number, comment, category and code hash
+ * @param {ExistingFinding[]} existing - Open AI findings on the same file
+ * @param {string[]} lines - Current file lines
+ * @returns {{newFindings: Object[], duplicates: Object[], resolved: ExistingFinding[]}} - Findings to post,
+ *   findings already covered by an open thread, and threads whose flagged code has changed without the issue coming back
+ */
+function reconcileFindings(findings, existing, lines) {
+    const located = existing.map(thread => {
+        // Threads posted before code hashes were recorded can be deduplicated but never resolved
+        const currentLine = thread.codeHash ? locateFlaggedLine(lines, thread.codeHash, thread.line) : thread.line;
+        return { thread, currentLine, words: fingerprint(thread.text) };
+    });
+
+    const newFindings = [];
+    const duplicates = [];
+    const matchedThreads = new Set();
+
+    for (const finding of findings) {
+        const words = fingerprint(finding.comment);
+        const match = located.find(({ thread, currentLine, words: threadWords }) => {
+            const line = currentLine ?? thread.line;
+            if (Math.abs(line - finding.lineNumber) > LINE_TOLERANCE) return false;
+            const sameCode = thread.codeHash && thread.codeHash === finding.codeHash && thread.category === finding.category;
+            return sameCode || similarity(words, threadWords) >= SIMILARITY_THRESHOLD;
+        });
+
+        if (match) {
+            matchedThreads.add(match.thread.threadId);
+            duplicates.push({ finding, threadId: match.thread.threadId });
+        } else {
+            newFindings.push(finding);
+        }
+    }
+
+    const resolved = located
+        .filter(({ thread, currentLine }) => thread.codeHash && currentLine === null && !matchedThreads.has(thread.threadId))
+        .map(({ thread }) => thread);
+
+    return { newFindings, duplicates, resolved };
+}
+
+/**
+ * Count findings per severity
+ * @param {Object[]} findings - Findings with a severity
+ * @returns {Object} - Count for each of SEVERITY_LEVELS
+ */
+function countBySeverity(findings) {
+    const counts = Object.fromEntries(SEVERITY_LEVELS.map(severity => [severity, 0]));
+    for (const finding of findings) {
+        counts[normalizeSeverity(finding.severity)]++;
+    }
+    return counts;
+}
+
+/**
+ * Decide whether open findings should fail the review status
+ * @param {Object} counts - Open finding count per severity
+ * @param {string} failOnSeverity - Lowest severity that counts as blocking
+ * @param {number} maxBlockingFindings - Blocking findings allowed before the status fails
+ * @returns {{failed: boolean, blocking: number}} - Outcome and number of blocking findings
+ */
+function evaluateFindings(counts, failOnSeverity, maxBlockingFindings) {
+    const blocking = SEVERITY_LEVELS
+        .filter(severity => meetsSeverityThreshold(severity, failOnSeverity))
+        .reduce((total, severity) => total + counts[severity], 0);
+
+    return { failed: blocking > maxBlockingFindings, blocking };
+}
+
+module.exports = {
+    SEVERITY_LEVELS,
+    CATEGORIES,
+    normalizeSeverity,
+    normalizeCategory,
+    meetsSeverityThreshold,
+    formatFindingContent,
+    parseFindingMarker,
+    hashCodeLine,
+    fingerprint,
+    similarity,
+    reconcileFindings,
+    countBySeverity,
+    evaluateFindings
+};
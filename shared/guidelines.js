@@ -0,0 +1,303 @@
+const { isPathIncluded } = require('./reviewConfig');
+const { SEVERITY_LEVELS } = require('./findings');
+
+// Languages that scope annotations can name, by file extension
+const LANGUAGE_EXTENSIONS = {
+    javascript: ['js', 'jsx', 'mjs', 'cjs'],
+    typescript: ['ts', 'tsx', 'mts', 'cts'],
+    python: ['py', 'pyi'],
+    csharp: ['cs', 'csx'],
+    java: ['java'],
+    kotlin: ['kt', 'kts'],
+    go: ['go'],
+    rust: ['rs'],
+    ruby: ['rb'],
+    php: ['php'],
+    swift: ['swift'],
+    c: ['c', 'h'],
+    cpp: ['cc', 'cpp', 'cxx', 'hpp', 'hh', 'hxx'],
+    html: ['html', 'htm', 'cshtml', 'razor', 'vue', 'svelte'],
+    css: ['css', 'scss', 'sass', 'less'],
+    sql: ['sql'],
+    shell: ['sh', 'bash', 'zsh', 'ps1'],
+    yaml: ['yml', 'yaml'],
+    json: ['json'],
+    markdown: ['md', 'mdx']
+};
+
+// "<!-- paths: src/web/**, *.html -->" or "<!-- languages: javascript, typescript -->" after a heading or rule
+const SCOPE_PATTERN = /<!--\s*(paths|languages)\s*:\s*(.*?)\s*-->/gi;
+// "<!-- pattern: /console\.log\(/ -->" on a rule flags added lines that match without asking the model, and
+// "<!-- severity: nit -->" sets the severity of those findings
+const CHECK_PATTERN = /<!--\s*(pattern|severity)\s*:\s*(.*?)\s*-->/gi;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s{0,3}(\d+)[.)]\s+(.*)$/;
+// An ID is a section name followed by the rule number, e.g. "Security 5" or "Code Quality 2"
+const GUIDELINE_ID_PATTERN = /^[A-Za-z][\w .&/-]*?\s\d+(?:\.\d+)*$/;
+
+const cache = new Map();
+
+/**
+ * @typedef {Object} GuidelineRule
+ * @property {string} id - Stable ID, the section name and rule number, e.g. "Security 5"
+ * @property {string} section - Section heading
+ * @property {string} text - Rule text
+ * @property {string} source - Source the rule was loaded from
+ * @property {string[]} paths - Path globs the rule applies to; every file when empty and no languages are set
+ * @property {string[]} languages - Languages the rule applies to
+ * @property {RegExp} [pattern] - Added lines matching this are findings of the rule without asking the model
+ * @property {string} [severity] - Severity of pattern findings
+ */
+
+/**
+ * @typedef {Object} GuidelineSet
+ * @property {GuidelineRule[]} rules - Numbered rules from every source
+ * @property {string[]} freeText - Sources without numbered rules, passed to every prompt as they are
+ * @property {Set<string>} ids - IDs of all rules, lower-cased
+ */
+
+/**
+ * Work out the language of a file from its extension
+ * @param {string} filePath - Repository file path
+ * @returns {string|null} - Language name from LANGUAGE_EXTENSIONS, or null if unknown
+ */
+function getFileLanguage(filePath) {
+    const fileName = filePath.split('/').pop();
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    const match = Object.entries(LANGUAGE_EXTENSIONS).find(([, extensions]) => extensions.includes(extension));
+    return match ? match[0] : null;
+}
+
+/**
+ * Read scope annotations from a line and remove them
+ * @param {string} line - Markdown line
+ * @returns {{text: string, paths?: string[], languages?: string[]}} - Line without annotations, and the scope it sets
+ */
+function extractScope(line) {
+    const scope = { text: line.replace(SCOPE_PATTERN, '').trimEnd() };
+    for (const [, key, value] of line.matchAll(SCOPE_PATTERN)) {
+        const entries = value.split(',').map(entry => entry.trim()).filter(entry => entry);
+        scope[key.toLowerCase()] = key.toLowerCase() === 'languages'
+            ? entries.map(entry => entry.toLowerCase())
+            : entries;
+    }
+    return scope;
+}
+
+/**
+ * Read pattern check annotations from a rule line into the rule and remove them
+ * @param {Object} rule - Rule being parsed
+ * @param {string} text - Rule text, or a line continuing it
+ * @returns {string} - Text without annotations
+ */
+function extractCheck(rule, text) {
+    for (const [, key, value] of text.matchAll(CHECK_PATTERN)) {
+        if (key.toLowerCase() === 'severity') {
+            const severity = value.toLowerCase();
+            if (SEVERITY_LEVELS.includes(severity)) {
+                rule.severity = severity;
+            } else {
+                console.warn(`Ignoring invalid severity "${value}" of guideline ${rule.id} from ${rule.source}`);
+            }
+            continue;
+        }
+
+        // "/source/flags" or just the source; "g" and "y" would make test() stateful
+        const literal = value.match(/^\/(.*)\/([a-z]*)$/);
+        try {
+            rule.pattern = literal
+                ? new RegExp(literal[1], literal[2].replace(/[gy]/g, ''))
+                : new RegExp(value);
+        } catch (error) {
+            console.warn(`Ignoring invalid pattern of guideline ${rule.id} from ${rule.source}: ${error.message}`);
+        }
+    }
+    return text.replace(CHECK_PATTERN, '').trimEnd();
+}
+
+/**
+ * Split a guidelines document into numbered rules under their section headings
+ *
+ * A scope annotation on the line after a heading applies to the whole section; one at the end of a rule
+ * applies to that rule only, as do pattern checks. Documents without numbered rules are kept as free text.
+ * @param {string} content - Markdown content
+ * @param {string} source - Where the content was loaded from
+ * @returns {{rules: GuidelineRule[], freeText?: string}} - Parsed rules, or the content as free text
+ */
+function parseGuidelines(content, source) {
+    const rules = [];
+    let section = null;
+    let sectionScope = {};
+    let rule = null;
+
+    const finishRule = () => {
+        if (rule) rules.push({ ...rule, text: rule.text.trim() });
+        rule = null;
+    };
+
+    for (const line of content.split(/\r?\n/)) {
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            finishRule();
+            const { text, ...scope } = extractScope(heading[2]);
+            section = text.replace(/[*_`]/g, '').trim();
+            sectionScope = scope;
+            continue;
+        }
+
+        const item = line.match(RULE_PATTERN);
+        if (item && section) {
+            finishRule();
+            const { text, ...ruleScope } = extractScope(item[2]);
+            // A rule's own scope replaces the section's rather than adding to it
+            const scope = Object.keys(ruleScope).length > 0 ? ruleScope : sectionScope;
+            rule = {
+                id: `${section} ${item[1]}`,
+                section,
+                text,
+                source,
+                paths: scope.paths || [],
+                languages: scope.languages || []
+            };
+            rule.text = extractCheck(rule, text);
+            continue;
+        }
+
+        if (rule && line.trim() && /^\s/.test(line)) {
+            // Indented lines continue the rule above
+            const { text } = extractScope(line);
+            rule.text += ` ${extractCheck(rule, text).trim()}`;
+        } else if (!rule && line.trim().startsWith('<!--')) {
+            // A scope annotation on its own line sets the scope of the section
+            const { text, ...scope } = extractScope(line);
+            if (!text.trim()) sectionScope = { ...sectionScope, ...scope };
+        } else {
+            finishRule();
+        }
+    }
+    finishRule();
+
+    return rules.length > 0 ? { rules } : { rules, freeText: content.trim() };
+}
+
+/**
+ * Combine the guidelines loaded from every source
+ * @param {Object[]} documents - Results of parseGuidelines
+ * @returns {GuidelineSet} - Combined guidelines
+ */
+function createGuidelineSet(documents) {
+    const rules = [];
+    const ids = new Set();
+    for (const document of documents) {
+        for (const rule of document.rules) {
+            if (ids.has(rule.id.toLowerCase())) {
+                console.warn(`Guideline ${rule.id} from ${rule.source} has the same ID as an earlier rule`);
+            }
+            ids.add(rule.id.toLowerCase());
+            rules.push(rule);
+        }
+    }
+
+    return {
+        rules,
+        freeText: documents.map(document => document.freeText).filter(Boolean),
+        ids
+    };
+}
+
+/**
+ * Check whether a rule applies to a file
+ * @param {GuidelineRule} rule - Guideline rule
+ * @param {string} filePath - Repository file path
+ * @param {string|null} language - Language of the file
+ * @returns {boolean} - Whether the rule applies
+ */
+function appliesTo(rule, filePath, language) {
+    if (rule.paths.length === 0 && rule.languages.length === 0) return true;
+    if (rule.paths.length > 0 && isPathIncluded(filePath, rule.paths, [])) return true;
+    return language !== null && rule.languages.includes(language);
+}
+
+/**
+ * Find the rules with pattern checks that apply to a file
+ * @param {GuidelineSet} guidelineSet - Loaded guidelines
+ * @param {string} filePath - Repository file path
+ * @returns {GuidelineRule[]} - Rules with a pattern
+ */
+function getPatternRules(guidelineSet, filePath) {
+    const language = getFileLanguage(filePath);
+    return guidelineSet.rules.filter(rule => rule.pattern && appliesTo(rule, filePath, language));
+}
+
+/**
+ * Render the guidelines that apply to a file for the review prompt
+ * @param {GuidelineSet} guidelineSet - Loaded guidelines
+ * @param {string} filePath - Repository file path
+ * @returns {string} - Guidelines text, one rule per line with its ID
+ */
+function formatGuidelinesForFile(guidelineSet, filePath) {
+    const language = getFileLanguage(filePath);
+    const lines = guidelineSet.rules
+        .filter(rule => appliesTo(rule, filePath, language))
+        .map(rule => `[${rule.id}] ${rule.text}`);
+    return [...lines, ...guidelineSet.freeText].join('\n');
+}
+
+/**
+ * Find the guideline IDs a comment cites, e.g. "[Security 5]" or "[Security 5, Performance 1]"
+ * @param {string} text - Comment text
+ * @returns {string[]} - Cited IDs
+ */
+function findCitedGuidelines(text) {
+    const cited = [];
+    for (const [, inner] of String(text || '').matchAll(/\[([^[\]]+)\]/g)) {
+        for (const part of inner.split(/[,;]/)) {
+            const id = part.trim();
+            if (GUIDELINE_ID_PATTERN.test(id)) cited.push(id);
+        }
+    }
+    return cited;
+}
+
+/**
+ * Find the IDs a comment cites that aren't in the loaded guidelines
+ * @param {GuidelineSet} guidelineSet - Loaded guidelines
+ * @param {string} text - Comment text
+ * @returns {string[]} - Unknown IDs; always empty when the guidelines have no numbered rules
+ */
+function findUnknownGuidelines(guidelineSet, text) {
+    if (guidelineSet.ids.size === 0) return [];
+    return findCitedGuidelines(text).filter(id => !guidelineSet.ids.has(id.toLowerCase()));
+}
+
+/**
+ * Load a value through a cache that keeps it for a while
+ *
+ * Failed loads are not cached, so the next review tries again.
+ * @param {string} key - Cache key, e.g. the source path or URL
+ * @param {number} ttlMs - How long a loaded value is reused
+ * @param {Function} load - Loads the value
+ * @returns {Promise} - Cached or freshly loaded value
+ */
+function loadCached(key, ttlMs, load) {
+    const entry = cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.promise;
+
+    const promise = load();
+    cache.set(key, { promise, expiresAt: Date.now() + ttlMs });
+    promise.catch(() => {
+        if (cache.get(key)?.promise === promise) cache.delete(key);
+    });
+    return promise;
+}
+
+module.exports = {
+    getFileLanguage,
+    parseGuidelines,
+    createGuidelineSet,
+    formatGuidelinesForFile,
+    getPatternRules,
+    findCitedGuidelines,
+    findUnknownGuidelines,
+    loadCached
+};
@@ -0,0 +1,138 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { toRepositoryPath, toRelativePath } = require('./scm');
+
+// Refs that aren't commits; neither is a valid git ref name, so they can't clash with a branch
+const WORKING_TREE = '(working tree)';
+const STAGED = '(staged)';
+
+// Large enough for any file the review doesn't skip as too large anyway
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Run a git command in a directory
+ * @param {string} cwd - Directory to run git in
+ * @param {string[]} args - Git arguments
+ * @returns {Promise<string>} - Standard output
+ */
+function runGit(cwd, args) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd, encoding: 'utf8', maxBuffer: MAX_OUTPUT_BYTES }, (error, stdout, stderr) => {
+            if (!error) {
+                resolve(stdout);
+                return;
+            }
+            const wrapped = new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`);
+            wrapped.stderr = stderr;
+            reject(wrapped);
+        });
+    });
+}
+
+/**
+ * Convert the NUL-separated output of "git diff --name-status -z"
+ * @param {string} output - Git output
+ * @returns {FileChange[]} - File changes
+ */
+function parseNameStatus(output) {
+    const fields = output.split('\0');
+    const changes = [];
+    for (let index = 0; index < fields.length - 1;) {
+        const status = fields[index++];
+        // Renames and copies list the old path first and carry a similarity score, e.g. "R087"
+        if (status.startsWith('R') || status.startsWith('C')) {
+            const originalPath = toRepositoryPath(fields[index++]);
+            const filePath = toRepositoryPath(fields[index++]);
+            changes.push(status.startsWith('R')
+                ? { path: filePath, originalPath, kind: 'rename' }
+                // The copied file still exists, so the copy is new code to review
+                : { path: filePath, originalPath: null, kind: 'add' });
+            continue;
+        }
+
+        const filePath = toRepositoryPath(fields[index++]);
+        if (status === 'A') changes.push({ path: filePath, originalPath: null, kind: 'add' });
+        else if (status === 'D') changes.push({ path: filePath, originalPath: filePath, kind: 'delete' });
+        else changes.push({ path: filePath, originalPath: filePath, kind: 'edit' });
+    }
+    return changes;
+}
+
+/**
+ * Open a local git checkout to review the changes between two states of it
+ *
+ * Changes are compared with the merge base of the base ref and the reviewed commit, the way a PR is,
+ * so commits added to the base branch since don't show up as changes.
+ * @param {Object} options - Review range
+ * @param {string} [options.cwd] - Directory inside the checkout (defaults to the current directory)
+ * @param {string} [options.base] - Ref to compare with (defaults to HEAD)
+ * @param {string} [options.head] - Ref to review; the working tree when not set
+ * @param {boolean} [options.staged] - Review the staged changes instead of the working tree
+ * @returns {Promise<Object>} - Checkout with root, name, baseRef, headRef, getChanges() and getFileContent(filePath, ref)
+ */
+async function openLocalRepository(options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const root = (await runGit(cwd, ['rev-parse', '--show-toplevel'])).trim();
+    const base = options.base || 'HEAD';
+    const head = options.head || (options.staged ? STAGED : WORKING_TREE);
+
+    const headCommit = options.head || 'HEAD';
+    const baseRef = (await runGit(root, ['merge-base', base, headCommit])).trim();
+
+    const getChanges = async () => {
+        if (options.head) {
+            return parseNameStatus(await runGit(root, ['diff', '--name-status', '-z', '-M', baseRef, options.head]));
+        }
+        if (options.staged) {
+            return parseNameStatus(await runGit(root, ['diff', '--cached', '--name-status', '-z', '-M', baseRef]));
+        }
+
+        // Untracked files are new code too; ignored files are left out
+        const [tracked, untracked] = await Promise.all([
+            runGit(root, ['diff', '--name-status', '-z', '-M', baseRef]),
+            runGit(root, ['ls-files', '--others', '--exclude-standard', '-z'])
+        ]);
+        return [
+            ...parseNameStatus(tracked),
+            ...untracked.split('\0').filter(file => file).map(file => ({
+                path: toRepositoryPath(file),
+                originalPath: null,
+                kind: 'add'
+            }))
+        ];
+    };
+
+    const getFileContent = async (filePath, ref) => {
+        const relativePath = toRelativePath(filePath);
+        try {
+            if (ref === WORKING_TREE) {
+                return await fs.readFile(path.join(root, relativePath), 'utf8');
+            }
+            const object = ref === STAGED ? `:${relativePath}` : `${ref}:${relativePath}`;
+            return await runGit(root, ['show', object]);
+        } catch (error) {
+            const wrapped = new Error(`Failed to retrieve content for ${filePath}: ${error.message || error}`);
+            if (error.code === 'ENOENT' || /does not exist|exists on disk, but not in/.test(error.stderr || '')) {
+                wrapped.statusCode = 404;
+            }
+            throw wrapped;
+        }
+    };
+
+    return {
+        root,
+        name: path.basename(root),
+        baseRef,
+        headRef: head,
+        getChanges,
+        getFileContent
+    };
+}
+
+module.exports = {
+    WORKING_TREE,
+    STAGED,
+    parseNameStatus,
+    openLocalRepository
+};
@@ -0,0 +1,135 @@
+const { formatCost } = require('./usage');
+
+/**
+ * Describe the lines a finding applies to
+ * @param {Object} finding - Finding with lineNumber and endLineNumber
+ * @returns {string} - e.g. "12" or "12-14"
+ */
+function formatLines(finding) {
+    return finding.endLineNumber > finding.lineNumber
+        ? `${finding.lineNumber}-${finding.endLineNumber}`
+        : String(finding.lineNumber);
+}
+
+/**
+ * Describe the token usage and cost of a review
+ * @param {Object} usage - Usage totals
+ * @returns {string} - Usage sentence
+ */
+function formatUsage(usage) {
+    return `${usage.promptTokens + usage.completionTokens} tokens ` +
+        `(${usage.promptTokens} prompt, ${usage.completionTokens} completion) for an estimated ` +
+        `${formatCost(usage.cost)}${usage.estimated ? ' (token counts partly estimated)' : ''}`;
+}
+
+/**
+ * Render a local review as plain text, one "path:line: severity (category): comment" line per finding
+ * @param {LocalReviewResult} result - Review outcome
+ * @returns {string} - Report
+ */
+function formatTextReport(result) {
+    const lines = [];
+    for (const finding of result.findings) {
+        lines.push(`${finding.path.replace(/^\//, '')}:${formatLines(finding)}: ` +
+            `${finding.severity} (${finding.category}): ${finding.comment}`);
+        if (finding.suggestion !== undefined) {
+            lines.push('    Suggested change:');
+            for (const line of finding.suggestion.split(/\r?\n/)) {
+                lines.push(`    | ${line}`);
+            }
+        }
+    }
+
+    if (result.failedFiles.length > 0 || result.skippedFiles.length > 0) {
+        if (lines.length > 0) lines.push('');
+        for (const file of result.failedFiles) {
+            lines.push(`Not fully reviewed: ${file.path.replace(/^\//, '')}: ${file.error}`);
+        }
+        for (const file of result.skippedFiles) {
+            lines.push(`Skipped: ${file.path.replace(/^\//, '')}: ${file.reason}`);
+        }
+    }
+
+    if (lines.length > 0) lines.push('');
+    lines.push(`${result.findings.length} finding(s) in ${result.reviewedFiles.length} reviewed file(s) ` +
+        `using ${result.model}; ${formatUsage(result.usage)}`);
+    lines.push(result.status.state === 'failed' ? `Failed: ${result.status.description}` : result.status.description);
+    return lines.join('\n');
+}
+
+/**
+ * Render a local review as markdown, e.g. for a PR description or a CI job summary
+ * @param {LocalReviewResult} result - Review outcome
+ * @returns {string} - Markdown report
+ */
+function formatMarkdownReport(result) {
+    const lines = [];
+    lines.push('## AI review');
+    lines.push('');
+    lines.push(result.status.state === 'failed'
+        ? `**Changes requested:** ${result.status.description}.`
+        : `**${result.status.description}.**`);
+    lines.push('');
+    lines.push(`Reviewed ${result.reviewedFiles.length} file(s) in ${result.headRef} against ` +
+        `\`${result.baseRef.slice(0, 8)}\` using \`${result.model}\`, with ${formatUsage(result.usage)}.`);
+
+    let currentPath = null;
+    for (const finding of result.findings) {
+        if (finding.path !== currentPath) {
+            currentPath = finding.path;
+            lines.push('');
+            lines.push(`### \`${currentPath}\``);
+            lines.push('');
+        }
+        const label = finding.severity.charAt(0).toUpperCase() + finding.severity.slice(1);
+        lines.push(`- **Line ${formatLines(finding)}** · **${label}** (${finding.category}): ${finding.comment}`);
+        if (finding.suggestion !== undefined) {
+            lines.push('');
+            lines.push('  ```');
+            for (const line of finding.suggestion.split(/\r?\n/)) {
+                lines.push(`  ${line}`);
+            }
+            lines.push('  ```');
+        }
+    }
+
+    if (result.failedFiles.length > 0) {
+        lines.push('');
+        lines.push('### Not fully reviewed');
+        lines.push('');
+        for (const file of result.failedFiles) {
+            lines.push(`- \`${file.path}\`: ${file.error}`);
+        }
+    }
+
+    if (result.skippedFiles.length > 0) {
+        lines.push('');
+        lines.push('### Skipped');
+        lines.push('');
+        for (const file of result.skippedFiles) {
+            lines.push(`- \`${file.path}\`: ${file.reason}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Render a local review as JSON for other tools
+ * @param {LocalReviewResult} result - Review outcome
+ * @returns {string} - JSON report
+ */
+function formatJsonReport(result) {
+    return JSON.stringify(result, null, 2);
+}
+
+// Output formats of the command line reviewer
+const REPORT_FORMATTERS = {
+    text: formatTextReport,
+    markdown: formatMarkdownReport,
+    json: formatJsonReport
+};
+
+module.exports = {
+    REPORT_FORMATTERS
+};
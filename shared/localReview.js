@@ -0,0 +1,201 @@
+const {
+    buildReviewConfig,
+    resolveRepositoryConfig,
+    loadReviewGuidelines,
+    generateComments,
+    checkGuidelineCitations,
+    describeReviewStatus
+} = require('./pullRequestReview');
+const { isPathIncluded } = require('./reviewConfig');
+const { meetsSeverityThreshold } = require('./findings');
+const { getPathSkipReason, getContentSkipReason } = require('./changeFilter');
+const { parseModelPrices, createUsageTracker } = require('./usage');
+const { createScheduler } = require('./scheduler');
+const { formatGuidelinesForFile } = require('./guidelines');
+const { createContextCollector } = require('./repositoryContext');
+const { createReviewModel } = require('./modelProviders');
+const { createRedactor } = require('./redaction');
+const { runStaticAnalysis } = require('./staticAnalysis');
+const { getChangedLines } = require('./diff');
+
+/**
+ * @typedef {Object} LocalReviewResult
+ * @property {string} baseRef - Commit the changes were compared with
+ * @property {string} headRef - Reviewed ref, or the working tree or staged changes
+ * @property {string} model - Model used for the review
+ * @property {Object[]} findings - Findings with path, lineNumber, endLineNumber, severity, category, comment
+ *   and suggestion, sorted by file and line
+ * @property {Object[]} reviewedFiles - Reviewed files with the number of findings and any error
+ * @property {Object[]} skippedFiles - Skipped files, with the reason
+ * @property {Object[]} failedFiles - Files that failed or were only partly analyzed, with the error
+ * @property {Object} status - State ('succeeded' or 'failed'), description and finding counts per severity
+ * @property {Object} usage - Token usage and cost of the review
+ */
+
+/**
+ * Build the review configuration for a local checkout from environment variables
+ * @param {Object} env - Environment variables
+ * @param {Object} repository - Local checkout
+ * @returns {Object} - Configuration object
+ */
+function buildLocalReviewConfig(env, repository) {
+    return {
+        ...buildReviewConfig(env, {}),
+        // Findings are printed rather than posted, so no repository host is involved
+        SCM_PROVIDER: null,
+        ORG: 'local',
+        PROJECT: repository.root,
+        REPO_NAME: repository.name
+    };
+}
+
+/**
+ * Review the changes in a local git checkout with the same guidelines and models as PR reviews
+ *
+ * The repository's review configuration and "repo:" guidelines are read from the base commit,
+ * like they are read from a PR's target branch.
+ * @param {Object} context - Logger with log, log.warn and log.error
+ * @param {Object} config - Configuration object
+ * @param {Object} repository - Local checkout, as opened by openLocalRepository
+ * @param {Object} [overrides] - Settings that win over the repository's configuration file
+ * @returns {Promise<LocalReviewResult>} - Findings and review outcome
+ */
+async function reviewLocalChanges(context, config, repository, overrides = {}) {
+    config = {
+        ...await resolveRepositoryConfig(context, config, repository, repository.baseRef),
+        ...overrides
+    };
+
+    const { model, describe: describeModel } = createReviewModel(config);
+    const guidelineSet = await loadReviewGuidelines(context, config, repository, repository.baseRef);
+    context.log(`Loaded ${guidelineSet.rules.length} review guideline(s) from ${config.GUIDELINE_SOURCES.length} source(s)`);
+
+    const fileChanges = await repository.getChanges();
+    context.log(`Reviewing ${fileChanges.length} changed file(s) in ${repository.headRef} ` +
+        `against ${repository.baseRef.slice(0, 8)}`);
+
+    const onRetry = (label, error, attempt, delay) => context.log.warn(
+        `${label} failed (${error.message || error}); retry ${attempt} of ${config.MAX_RETRIES} in ${Math.round(delay / 1000)}s`
+    );
+    const fileScheduler = createScheduler({ concurrency: config.MAX_PARALLEL_FILES, retries: 0 });
+    const modelScheduler = createScheduler({ concurrency: config.MAX_PARALLEL_FILES, retries: config.MAX_RETRIES, onRetry });
+    const usage = createUsageTracker(parseModelPrices(config.MODEL_PRICES));
+
+    const readHead = filePath => repository.getFileContent(filePath, repository.headRef);
+    // Files the review skips by path aren't offered as call sites either
+    const changedPaths = fileChanges
+        .filter(fileChange => fileChange.kind !== 'delete' &&
+            isPathIncluded(fileChange.path, config.INCLUDE_PATHS, config.EXCLUDE_PATHS) &&
+            !getPathSkipReason(fileChange.path))
+        .map(fileChange => fileChange.path);
+    const repositoryContext = createContextCollector({
+        readFile: readHead,
+        changedPaths,
+        maxTokens: config.CONTEXT_MAX_TOKENS
+    });
+    const redactor = createRedactor();
+
+    const findings = [];
+    const reviewedFiles = [];
+    const skippedFiles = [];
+    const failedFiles = [];
+    const fileProcessingPromises = [];
+
+    const skipFile = (filePath, reason) => {
+        context.log(`Skipping ${filePath}: ${reason}`);
+        skippedFiles.push({ path: filePath, reason });
+    };
+
+    for (const fileChange of fileChanges) {
+        const itemPath = fileChange.path;
+
+        if (fileChange.kind === 'delete') {
+            skipFile(itemPath, 'deleted');
+            continue;
+        }
+        if (!isPathIncluded(itemPath, config.INCLUDE_PATHS, config.EXCLUDE_PATHS)) {
+            skipFile(itemPath, 'excluded by review configuration');
+            continue;
+        }
+        const pathSkipReason = getPathSkipReason(itemPath);
+        if (pathSkipReason) {
+            skipFile(itemPath, pathSkipReason);
+            continue;
+        }
+
+        fileProcessingPromises.push(fileScheduler.run(async () => {
+            const [oldContent, newContent] = await Promise.all([
+                fileChange.kind === 'add' ? '' : repository.getFileContent(fileChange.originalPath, repository.baseRef),
+                readHead(itemPath)
+            ]);
+
+            const contentSkipReason = getContentSkipReason(newContent, config.MAX_FILE_SIZE_KB * 1024);
+            if (contentSkipReason) {
+                skipFile(itemPath, contentSkipReason);
+                return;
+            }
+            repositoryContext.remember(itemPath, newContent);
+
+            const guidelines = formatGuidelinesForFile(guidelineSet, itemPath);
+            // Deterministic checks run first; the model is told about their findings so it doesn't repeat them
+            const knownIssues = await runStaticAnalysis(config.STATIC_ANALYZERS, {
+                filePath: itemPath,
+                content: newContent,
+                changedLines: getChangedLines(oldContent, newContent),
+                guidelineSet,
+                eslintRules: config.ESLINT_RULES
+            });
+            const analysis = await generateComments(oldContent, newContent, itemPath, guidelines, model, {
+                contextLines: config.DIFF_CONTEXT_LINES,
+                maxPromptTokens: config.MAX_PROMPT_TOKENS,
+                scheduler: modelScheduler,
+                usage,
+                collectContext: hunks => repositoryContext.collect(itemPath, hunks, newContent),
+                redactor,
+                knownIssues
+            });
+
+            const comments = checkGuidelineCitations(context, analysis.comments, guidelineSet, itemPath, config)
+                .filter(comment => meetsSeverityThreshold(comment.severity, config.SEVERITY_THRESHOLD));
+            findings.push(...comments.map(comment => ({ path: itemPath, ...comment })));
+            reviewedFiles.push({
+                path: itemPath,
+                originalPath: fileChange.originalPath,
+                changeKind: fileChange.kind,
+                comments: comments.length,
+                error: analysis.error
+            });
+        }, `Reviewing ${itemPath}`).catch(error => {
+            context.log.error(`Failed to review ${itemPath}: ${error.message || error}`);
+            failedFiles.push({ path: itemPath, error: error.message || String(error) });
+        }));
+    }
+
+    await Promise.all(fileProcessingPromises);
+    context.log(`Reviewed ${reviewedFiles.length} file(s), skipped ${skippedFiles.length}, failed ${failedFiles.length}`);
+
+    findings.sort((a, b) => a.path.localeCompare(b.path) || a.lineNumber - b.lineNumber);
+    const byPath = (a, b) => a.path.localeCompare(b.path);
+
+    const incompleteFiles = [
+        ...failedFiles,
+        ...reviewedFiles.filter(file => file.error).map(file => ({ path: file.path, error: file.error }))
+    ].sort(byPath);
+
+    return {
+        baseRef: repository.baseRef,
+        headRef: repository.headRef,
+        model: describeModel(),
+        findings,
+        reviewedFiles: reviewedFiles.sort(byPath),
+        skippedFiles: skippedFiles.sort(byPath),
+        failedFiles: incompleteFiles,
+        status: describeReviewStatus(findings, config, incompleteFiles.map(file => file.path)),
+        usage: usage.totals()
+    };
+}
+
+module.exports = {
+    buildLocalReviewConfig,
+    reviewLocalChanges
+};
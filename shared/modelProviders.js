@@ -0,0 +1,255 @@
+const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+const { AzureChatOpenAI, ChatOpenAI } = require('@langchain/openai');
+const { RunnableLambda } = require('@langchain/core/runnables');
+const { withTimeout } = require('./scheduler');
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 4096;
+const DEFAULT_TIMEOUT_SECONDS = 240;
+const DEFAULT_AZURE_OPENAI_API_VERSION = '2023-12-01-preview';
+
+/**
+ * @typedef {Object} ModelProvider
+ * @property {string[]} required - Settings that must be set to use the provider
+ * @property {string[]} [settings] - Optional settings read by the provider
+ * @property {string} modelSetting - Setting that names the model
+ * @property {string} [defaultModel] - Model used when the model setting is empty
+ * @property {Function} create - Creates the chat model from the configuration and common options
+ */
+
+/**
+ * Create a chat model for an API that speaks the OpenAI chat completions protocol
+ * @param {Object} options - API key, model name, base URL, temperature, maxTokens
+ * @returns {ChatOpenAI} - Chat model
+ */
+function createOpenAICompatibleModel(options) {
+    return new ChatOpenAI({
+        openAIApiKey: options.apiKey,
+        modelName: options.model,
+        temperature: options.temperature,
+        maxTokens: options.maxTokens,
+        // Retries are left to the review's scheduler, which also honours Retry-After
+        maxRetries: 0,
+        configuration: options.baseURL ? { baseURL: options.baseURL } : undefined
+    });
+}
+
+// Settings are named <PREFIX>_MODEL and <PREFIX>_BASE_URL after the provider's API key setting
+const PROVIDERS = {
+    azure: {
+        required: ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_API_INSTANCE_NAME', 'AZURE_OPENAI_API_DEPLOYMENT_NAME'],
+        settings: ['AZURE_OPENAI_API_VERSION'],
+        modelSetting: 'AZURE_OPENAI_API_DEPLOYMENT_NAME',
+        create: (config, options) => new AzureChatOpenAI({
+            azureOpenAIApiKey: config.AZURE_OPENAI_API_KEY,
+            azureOpenAIApiInstanceName: config.AZURE_OPENAI_API_INSTANCE_NAME,
+            azureOpenAIApiDeploymentName: config.AZURE_OPENAI_API_DEPLOYMENT_NAME,
+            azureOpenAIApiVersion: config.AZURE_OPENAI_API_VERSION,
+            temperature: options.temperature,
+            maxTokens: options.maxTokens,
+            maxRetries: 0
+        })
+    },
+    openai: {
+        required: ['OPENAI_API_KEY'],
+        settings: ['OPENAI_MODEL', 'OPENAI_BASE_URL'],
+        modelSetting: 'OPENAI_MODEL',
+        defaultModel: 'gpt-4',
+        create: (config, options) => createOpenAICompatibleModel({
+            ...options,
+            apiKey: config.OPENAI_API_KEY,
+            baseURL: config.OPENAI_BASE_URL
+        })
+    },
+    gemini: {
+        required: ['GEMINI_API_KEY'],
+        settings: ['GEMINI_MODEL'],
+        modelSetting: 'GEMINI_MODEL',
+        defaultModel: 'gemini-1.5-pro',
+        create: (config, options) => new ChatGoogleGenerativeAI({
+            model: options.model,
+            apiKey: config.GEMINI_API_KEY,
+            temperature: options.temperature,
+            maxOutputTokens: options.maxTokens,
+            maxRetries: 0
+        })
+    },
+    // Self-hosted OpenAI-compatible server such as Ollama, vLLM or LM Studio, so code stays on your network
+    local: {
+        required: ['LOCAL_BASE_URL', 'LOCAL_MODEL'],
+        settings: ['LOCAL_API_KEY'],
+        modelSetting: 'LOCAL_MODEL',
+        create: (config, options) => createOpenAICompatibleModel({
+            ...options,
+            // Most local servers ignore the key, but the OpenAI client requires one
+            apiKey: config.LOCAL_API_KEY || 'not-needed',
+            baseURL: config.LOCAL_BASE_URL
+        })
+    }
+};
+
+// Other names accepted in MODEL_TYPE and MODEL_FALLBACK_ORDER, with the provider they stand for
+const PROVIDER_ALIASES = {
+    ollama: 'local',
+    vllm: 'local'
+};
+
+const MODEL_SETTING_NAMES = [
+    ...new Set(Object.values(PROVIDERS).flatMap(provider => [...provider.required, ...(provider.settings || [])]))
+];
+
+/**
+ * Read the model settings from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Provider settings plus MODEL_TYPE, MODEL_FALLBACK_ORDER, MODEL_TEMPERATURE,
+ *   MODEL_MAX_TOKENS and MODEL_TIMEOUT_SECONDS
+ */
+function readModelSettings(env) {
+    const settings = Object.fromEntries(MODEL_SETTING_NAMES.map(name => [name, env[name]]));
+    return {
+        ...settings,
+        AZURE_OPENAI_API_VERSION: env.AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_OPENAI_API_VERSION,
+        MODEL_TYPE: env.MODEL_TYPE || 'auto',
+        MODEL_FALLBACK_ORDER: (env.MODEL_FALLBACK_ORDER || '').split(',').map(name => name.trim()).filter(name => name),
+        MODEL_TEMPERATURE: env.MODEL_TEMPERATURE ?
+            parseFloat(env.MODEL_TEMPERATURE) : DEFAULT_TEMPERATURE,
+        MODEL_MAX_TOKENS: env.MODEL_MAX_TOKENS ?
+            parseInt(env.MODEL_MAX_TOKENS, 10) : DEFAULT_MAX_TOKENS,
+        MODEL_TIMEOUT_SECONDS: env.MODEL_TIMEOUT_SECONDS ?
+            parseInt(env.MODEL_TIMEOUT_SECONDS, 10) : DEFAULT_TIMEOUT_SECONDS
+    };
+}
+
+/**
+ * Look up a provider by name or alias
+ * @param {string} name - Provider name from MODEL_TYPE or MODEL_FALLBACK_ORDER
+ * @returns {{name: string, provider: ModelProvider}|null} - Provider, or null if the name is unknown
+ */
+function findProvider(name) {
+    const key = String(name).trim().toLowerCase();
+    const provider = PROVIDERS[PROVIDER_ALIASES[key] || key];
+    return provider ? { name: key, provider } : null;
+}
+
+/**
+ * Check whether a provider has all the settings it needs
+ * @param {ModelProvider} provider - Provider
+ * @param {Object} config - Configuration object
+ * @returns {string[]} - Missing settings
+ */
+function getMissingSettings(provider, config) {
+    return provider.required.filter(name => !config[name]);
+}
+
+/**
+ * Work out which providers to try, in order
+ * @param {Object} config - Configuration object
+ * @returns {Object[]} - Providers from findProvider
+ */
+function resolveProviderChain(config) {
+    const modelType = String(config.MODEL_TYPE || 'auto').trim().toLowerCase();
+
+    if (modelType !== 'auto') {
+        const entry = findProvider(modelType);
+        if (!entry) {
+            const names = [...Object.keys(PROVIDERS), ...Object.keys(PROVIDER_ALIASES), 'auto'];
+            throw new Error(`Invalid MODEL_TYPE: ${config.MODEL_TYPE}. Valid values: ${names.join(', ')}`);
+        }
+        const missing = getMissingSettings(entry.provider, config);
+        if (missing.length > 0) {
+            throw new Error(`MODEL_TYPE is set to '${modelType}' but ${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} missing`);
+        }
+        return [entry];
+    }
+
+    // Auto mode tries every provider that is configured, in MODEL_FALLBACK_ORDER or registry order
+    const order = config.MODEL_FALLBACK_ORDER?.length > 0 ? config.MODEL_FALLBACK_ORDER : Object.keys(PROVIDERS);
+    const chain = [];
+    for (const name of order) {
+        const entry = findProvider(name);
+        if (!entry) throw new Error(`Invalid provider in MODEL_FALLBACK_ORDER: ${name}`);
+        if (getMissingSettings(entry.provider, config).length === 0) chain.push(entry);
+    }
+    if (chain.length === 0) {
+        throw new Error("MODEL_TYPE is 'auto' but no model provider is configured. Set the API key of at least one provider");
+    }
+    return chain;
+}
+
+/**
+ * Check the model configuration without creating any model
+ * @param {Object} config - Configuration object
+ * @returns {string|null} - Error message, or null if at least one provider can be used
+ */
+function getModelConfigError(config) {
+    try {
+        resolveProviderChain(config);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Create the chat model used for reviews
+ *
+ * The model tries each provider of the chain in turn, moving on when one fails or times out.
+ * @param {Object} config - Configuration object
+ * @returns {{model: Object, describe: Function}} - Runnable chat model, and a function describing
+ *   the providers that answered (or would answer) for the review summary
+ */
+function createReviewModel(config) {
+    const chain = resolveProviderChain(config);
+    const timeoutMs = config.MODEL_TIMEOUT_SECONDS * 1000;
+
+    const candidates = chain.map(entry => {
+        const modelName = config[entry.provider.modelSetting] || entry.provider.defaultModel;
+        return {
+            label: `${entry.name}/${modelName}`,
+            model: entry.provider.create(config, {
+                model: modelName,
+                temperature: config.MODEL_TEMPERATURE,
+                maxTokens: config.MODEL_MAX_TOKENS
+            })
+        };
+    });
+
+    const used = new Set();
+    const model = RunnableLambda.from(async input => {
+        let lastError;
+        for (const [index, candidate] of candidates.entries()) {
+            try {
+                const result = await withTimeout(
+                    candidate.model.invoke(input),
+                    timeoutMs,
+                    `AI model request timed out after ${config.MODEL_TIMEOUT_SECONDS} seconds`
+                );
+                used.add(candidate.label);
+                // Lets usage accounting price the response by the model that actually answered
+                result.response_metadata = { ...result.response_metadata, reviewModel: candidate.label };
+                return result;
+            } catch (error) {
+                lastError = error;
+                const next = candidates[index + 1];
+                if (next) {
+                    console.warn(`Model ${candidate.label} failed (${error.message || error}), falling back to ${next.label}`);
+                }
+            }
+        }
+        throw lastError;
+    });
+
+    const describe = () => {
+        const labels = used.size > 0 ? [...used] : candidates.map(candidate => candidate.label);
+        const isAuto = String(config.MODEL_TYPE || 'auto').trim().toLowerCase() === 'auto';
+        return isAuto ? `auto: ${labels.join(', ')}` : labels[0];
+    };
+
+    return { model, describe };
+}
+
+module.exports = {
+    readModelSettings,
+    getModelConfigError,
+    createReviewModel
+};
@@ -0,0 +1,221 @@
+// Interfaces for redacted content
+/**
+ * @typedef {Object} DetectedSecret
+ * @property {number} lineNumber - Line the secret was found on
+ * @property {string} name - What kind of secret it looks like, e.g. "AWS access key"
+ */
+
+/**
+ * @typedef {Object} RedactionResult
+ * @property {string} content - Content with every secret and sensitive value replaced by a placeholder
+ * @property {DetectedSecret[]} secrets - Credentials found in the content; high-entropy strings and
+ *   email addresses are masked but not reported
+ */
+
+// Credentials with a recognizable shape; a "secret" group masks just that part of the match
+const SECRET_PATTERNS = [
+    { name: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { name: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+    { name: 'GitLab token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g },
+    { name: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+    { name: 'Stripe key', pattern: /\b[rs]k_live_[A-Za-z0-9]{16,}\b/g },
+    { name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+    { name: 'OpenAI API key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g },
+    { name: 'JSON web token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+    {
+        name: 'connection string key',
+        pattern: /\b(?:AccountKey|SharedAccessKey|Password|Pwd)=(?<secret>[^;'"`\s]{6,})/gi
+    },
+    { name: 'password in URL', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/'"`]+:(?<secret>[^\s@/'"`]{3,})@/gi },
+    {
+        name: 'hard-coded credential',
+        pattern: /[\w.-]*(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key)[\w.-]*['"]?\s*[:=]\s*['"`](?<secret>[^'"`\s]{8,})['"`]/gi,
+        // Names like "passwordField" hold ordinary strings as often as credentials
+        test: value => !/^(?:https?:|\/|\.|\$\{|\{\{|<|%)/i.test(value) && looksRandom(value, 3)
+    }
+];
+
+// Sensitive values that are masked without being reported as committed secrets
+const SENSITIVE_PATTERNS = [
+    { kind: 'EMAIL', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g }
+];
+
+const PRIVATE_KEY_BEGIN = /-----BEGIN [A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----/;
+const PRIVATE_KEY_END = /-----END [A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----/;
+
+// Random-looking tokens such as keys without a known prefix; hex digests stay below the entropy threshold
+const HIGH_ENTROPY_TOKEN = /[A-Za-z0-9+/=_-]{24,}/g;
+const HIGH_ENTROPY_THRESHOLD = 4.2;
+
+// Identifier-safe so masked code still reads as code, e.g. "const key = '__REDACTED_SECRET_1__'"
+const PLACEHOLDER_PATTERN = /__REDACTED_[A-Z]+_\d+__/g;
+
+/**
+ * Measure how random a string looks
+ * @param {string} value - String to measure
+ * @returns {number} - Shannon entropy in bits per character
+ */
+function shannonEntropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const probability = count / value.length;
+        entropy -= probability * Math.log2(probability);
+    }
+    return entropy;
+}
+
+/**
+ * Check whether a value mixes character classes and is random enough to be a credential
+ * @param {string} value - Candidate value
+ * @param {number} minEntropy - Minimum Shannon entropy in bits per character
+ * @returns {boolean} - Whether the value looks like a credential rather than a word or name
+ */
+function looksRandom(value, minEntropy) {
+    // Separators are left out so "kebab-case" or "snake_case" words don't count as mixed
+    const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9_.-]/].filter(pattern => pattern.test(value)).length;
+    return classes >= 2 && shannonEntropy(value) >= minEntropy;
+}
+
+/**
+ * Create a redactor that masks secrets and sensitive data before content is sent to a model
+ *
+ * One redactor should cover everything sent for a review: the same value always gets the same placeholder,
+ * so the old and new versions of a file still diff cleanly and placeholders in the model's answers
+ * can be restored.
+ * @returns {Object} - Redactor with redact, restore and hasPlaceholders
+ */
+function createRedactor() {
+    const placeholders = new Map();
+    const values = new Map();
+    const counts = {};
+
+    const mask = (value, kind) => {
+        if (!placeholders.has(value)) {
+            counts[kind] = (counts[kind] || 0) + 1;
+            const placeholder = `__REDACTED_${kind}_${counts[kind]}__`;
+            placeholders.set(value, placeholder);
+            values.set(placeholder, value);
+        }
+        return placeholders.get(value);
+    };
+
+    const isMasked = value => new RegExp(PLACEHOLDER_PATTERN.source).test(value);
+
+    /**
+     * Mask secrets and sensitive values in one line
+     * @param {string} line - Line of content
+     * @returns {{line: string, names: string[]}} - Masked line and the kinds of secrets found on it
+     */
+    const redactLine = line => {
+        const names = [];
+        for (const { name, pattern, test } of SECRET_PATTERNS) {
+            line = line.replace(pattern, (...args) => {
+                const match = args[0];
+                const secret = args[args.length - 1]?.secret ?? match;
+                if (isMasked(secret) || (test && !test(secret))) return match;
+                names.push(name);
+                return match.replace(secret, mask(secret, 'SECRET'));
+            });
+        }
+        for (const { kind, pattern } of SENSITIVE_PATTERNS) {
+            line = line.replace(pattern, match => (isMasked(match) ? match : mask(match, kind)));
+        }
+        line = line.replace(HIGH_ENTROPY_TOKEN, token => (
+            !isMasked(token) && looksRandom(token, HIGH_ENTROPY_THRESHOLD) ? mask(token, 'STRING') : token
+        ));
+        return { line, names };
+    };
+
+    /**
+     * Replace secrets and sensitive data in content with placeholders
+     *
+     * Masking works line by line and never adds or removes line breaks, so line numbers in the masked
+     * content match the original.
+     * @param {string} content - File content or code excerpt
+     * @returns {RedactionResult} - Masked content and the secrets found
+     */
+    const redact = content => {
+        if (!content) return { content: content || '', secrets: [] };
+
+        // Line breaks are kept as separate items so CRLF files come back unchanged
+        const parts = content.split(/(\r?\n)/);
+        const secrets = [];
+        let inPrivateKey = false;
+        for (let index = 0; index < parts.length; index += 2) {
+            const lineNumber = index / 2 + 1;
+            const text = parts[index];
+
+            // The key body has no recognizable shape line by line, so everything up to the END marker goes
+            if (inPrivateKey) {
+                if (PRIVATE_KEY_END.test(text)) {
+                    inPrivateKey = false;
+                } else if (text.trim()) {
+                    parts[index] = mask(text, 'SECRET');
+                }
+                continue;
+            }
+            if (PRIVATE_KEY_BEGIN.test(text)) {
+                secrets.push({ lineNumber, name: 'private key' });
+                inPrivateKey = !PRIVATE_KEY_END.test(text);
+                if (!inPrivateKey) {
+                    parts[index] = text.replace(/(-----BEGIN [^-]*-----)[\s\S]*?(-----END)/, (match, begin, end) =>
+                        `${begin}${mask(match.slice(begin.length, -end.length), 'SECRET')}${end}`);
+                }
+                continue;
+            }
+
+            const { line, names } = redactLine(text);
+            parts[index] = line;
+            for (const name of new Set(names)) {
+                secrets.push({ lineNumber, name });
+            }
+        }
+        return { content: parts.join(''), secrets };
+    };
+
+    /**
+     * Put the original values back in place of placeholders, e.g. in suggested code
+     * @param {string} text - Text that may contain placeholders
+     * @returns {string} - Text with every known placeholder restored
+     */
+    const restore = text => (text || '').replace(PLACEHOLDER_PATTERN, placeholder => values.get(placeholder) ?? placeholder);
+
+    /**
+     * Check for placeholders left in text, e.g. ones the model made up
+     * @param {string} text - Text to check
+     * @returns {boolean} - Whether the text still contains a placeholder
+     */
+    const hasPlaceholders = text => isMasked(text || '');
+
+    return {
+        redact,
+        restore,
+        hasPlaceholders
+    };
+}
+
+/**
+ * Describe the secrets found on one line as a review finding
+ * @param {number} lineNumber - Line the secrets are on
+ * @param {string[]} names - Kinds of secrets found on the line
+ * @returns {Object} - Blocker finding without the secret itself
+ */
+function createSecretFinding(lineNumber, names) {
+    return {
+        lineNumber,
+        endLineNumber: lineNumber,
+        comment: `This line appears to commit a secret (${names.join(', ')}). Treat it as leaked: revoke or rotate it, ` +
+            'remove it from the code and load it from configuration or a secret store instead.',
+        severity: 'blocker',
+        category: 'security'
+    };
+}
+
+module.exports = {
+    createRedactor,
+    createSecretFinding
+};
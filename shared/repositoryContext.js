@@ -0,0 +1,310 @@
+const path = require('path').posix;
+const { estimateTokens } = require('./diff');
+
+const DEFAULT_CONTEXT_MAX_TOKENS = 2000;
+// Imports resolved per file; each may take a few requests to find the right extension
+const MAX_IMPORTS = 10;
+const MAX_CALL_SITES_PER_SYMBOL = 5;
+const CALL_SITE_CONTEXT_LINES = 2;
+const DEFINITION_LINES = 10;
+
+const SCRIPT_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+const NOT_SYMBOLS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'constructor', 'super']);
+
+/**
+ * @typedef {Object} ImportReference
+ * @property {string} specifier - Module as written in the import, e.g. "./utils"
+ * @property {string[]} names - Names taken from the module, or members used through a namespace import
+ */
+
+/**
+ * @typedef {Object} ContextSnippet
+ * @property {string} path - File the snippet comes from
+ * @property {string} reason - Why the snippet is relevant, e.g. "calls parseConfig"
+ * @property {number} startLine - First line of the snippet, 1-based
+ * @property {string[]} lines - Snippet lines
+ */
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Patterns that match a definition of a symbol, capturing its name
+ * @param {string} [name] - Symbol to look for; any symbol when not set
+ * @returns {RegExp[]} - Definition patterns
+ */
+function definitionPatterns(name) {
+    const id = name ? escapeRegExp(name) : '[A-Za-z_$][\\w$]*';
+    return [
+        new RegExp(`\\bfunction\\s*\\*?\\s*(${id})\\s*\\(`),
+        new RegExp(`\\b(?:const|let|var)\\s+(${id})\\s*=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*=>|[A-Za-z_$][\\w$]*\\s*=>)`),
+        new RegExp(`\\bclass\\s+(${id})\\b`),
+        new RegExp(`\\bdef\\s+(${id})\\s*\\(`),
+        new RegExp(`\\b(?:module\\.)?exports\\.(${id})\\s*=`),
+        // Class methods, e.g. "async load(id) {" or "public save(item): void {"
+        new RegExp(`^\\s*(?:(?:public|private|protected|static|async|override|readonly)\\s+)*(${id})\\s*\\([^)]*\\)\\s*(?::[^{]*)?\\{`)
+    ];
+}
+
+/**
+ * Find the names of functions, classes and methods defined on a line
+ * @param {string} line - Source line
+ * @returns {string[]} - Defined names
+ */
+function findDefinedSymbols(line) {
+    const names = [];
+    for (const pattern of definitionPatterns()) {
+        const match = line.match(pattern);
+        if (match && !NOT_SYMBOLS.has(match[1]) && !names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+/**
+ * Find the symbols whose definitions were added, changed or removed
+ * @param {Object[]} hunks - Diff hunks of the file
+ * @returns {string[]} - Changed symbols
+ */
+function findChangedSymbols(hunks) {
+    const symbols = new Set();
+    for (const hunk of hunks) {
+        for (const line of hunk.lines) {
+            if (line.type === 'context') continue;
+            for (const name of findDefinedSymbols(line.text)) symbols.add(name);
+        }
+    }
+    return [...symbols];
+}
+
+/**
+ * Find the relative imports of a JavaScript, TypeScript or Python file
+ * @param {string} content - File content
+ * @param {string} filePath - File path, used to pick the syntax
+ * @returns {ImportReference[]} - Imports of repository files
+ */
+function findImports(content, filePath) {
+    const imports = new Map();
+    const add = (specifier, names) => {
+        const existing = imports.get(specifier) || [];
+        imports.set(specifier, [...new Set([...existing, ...names])]);
+    };
+    const splitNames = list => list.split(',')
+        .map(entry => entry.trim().split(/\s+as\s+|\s*:\s*/)[0].trim())
+        .filter(name => /^[A-Za-z_$][\w$]*$/.test(name));
+    // Members used through a namespace or default import, e.g. "utils.parse"
+    const usedMembers = binding => [...content.matchAll(new RegExp(`\\b${escapeRegExp(binding)}\\.([A-Za-z_$][\\w$]*)`, 'g'))]
+        .map(match => match[1]);
+
+    if (filePath.endsWith('.py')) {
+        for (const [, module, names] of content.matchAll(/^\s*from\s+([.\w]+)\s+import\s+\(?([^)\n]+)\)?/gm)) {
+            add(module, splitNames(names));
+        }
+        return [...imports].map(([specifier, names]) => ({ specifier, names }));
+    }
+
+    const patterns = [
+        // const { a, b } = require('./x') and import { a, b as c } from './x'
+        [/(?:const|let|var)\s*\{([^}]*)\}\s*=\s*require\(\s*['"]([^'"]+)['"]\s*\)/g, (names, specifier) => add(specifier, splitNames(names))],
+        [/import\s+(?:type\s+)?(?:[\w$]+\s*,\s*)?\{([^}]*)\}\s*from\s*['"]([^'"]+)['"]/g, (names, specifier) => add(specifier, splitNames(names))],
+        // const x = require('./x'), import x from './x' and import * as x from './x'
+        [/(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*require\(\s*['"]([^'"]+)['"]\s*\)/g, (binding, specifier) => add(specifier, usedMembers(binding))],
+        [/import\s+(?:\*\s+as\s+)?([A-Za-z_$][\w$]*)\s*(?:,\s*\{[^}]*\})?\s*from\s*['"]([^'"]+)['"]/g, (binding, specifier) => add(specifier, [binding, ...usedMembers(binding)])],
+        [/export\s+(?:\*|\{[^}]*\})\s*from\s*['"]([^'"]+)['"]/g, specifier => add(specifier, [])]
+    ];
+    for (const [pattern, handle] of patterns) {
+        for (const match of content.matchAll(pattern)) handle(...match.slice(1));
+    }
+
+    // Packages can't be read from the repository
+    return [...imports]
+        .filter(([specifier]) => specifier.startsWith('.') || specifier.startsWith('/'))
+        .map(([specifier, names]) => ({ specifier, names }));
+}
+
+/**
+ * List the repository paths an import may refer to, most likely first
+ * @param {string} specifier - Module as written in the import
+ * @param {string} filePath - Importing file
+ * @returns {string[]} - Candidate paths
+ */
+function resolveImportCandidates(specifier, filePath) {
+    const directory = path.dirname(filePath);
+
+    if (filePath.endsWith('.py')) {
+        // "from .utils import x" is relative to the package, "from app.utils import x" to the repository root
+        const dots = specifier.match(/^\.*/)[0].length;
+        const modulePath = specifier.slice(dots).replace(/\./g, '/');
+        const base = dots > 0
+            ? path.join(directory, '../'.repeat(dots - 1), modulePath)
+            : path.join('/', modulePath);
+        return [`${base}.py`, path.join(base, '__init__.py')];
+    }
+
+    const base = specifier.startsWith('/') ? specifier : path.join(directory, specifier);
+    if (path.extname(base) && SCRIPT_EXTENSIONS.includes(path.extname(base))) return [base];
+
+    // Try the importing file's own extension first
+    const extensions = [path.extname(filePath), ...SCRIPT_EXTENSIONS].filter((ext, i, all) => ext && all.indexOf(ext) === i);
+    return [
+        ...extensions.map(ext => base + ext),
+        ...extensions.map(ext => path.join(base, `index${ext}`))
+    ];
+}
+
+/**
+ * Cut the definition of a symbol out of a file
+ * @param {string} content - File content
+ * @param {string} name - Symbol name
+ * @returns {{startLine: number, lines: string[]}|null} - Definition and the lines after it, or null if not found
+ */
+function findDefinition(content, name) {
+    const lines = content.split(/\r?\n/);
+    const patterns = definitionPatterns(name);
+    const index = lines.findIndex(line => patterns.some(pattern => pattern.test(line)));
+    if (index === -1) return null;
+    return { startLine: index + 1, lines: lines.slice(index, index + DEFINITION_LINES) };
+}
+
+/**
+ * Find the lines that call a symbol, with a little context around each
+ * @param {string} content - File content
+ * @param {string} name - Symbol name
+ * @returns {{startLine: number, lines: string[]}[]} - Call sites
+ */
+function findCallSites(content, name) {
+    const lines = content.split(/\r?\n/);
+    const call = new RegExp(`(?:\\bnew\\s+|[^\\w$.]|\\.|^)${escapeRegExp(name)}\\s*\\(`);
+    const definitions = definitionPatterns(name);
+    const sites = [];
+
+    for (const [index, line] of lines.entries()) {
+        if (!call.test(line) || definitions.some(pattern => pattern.test(line))) continue;
+        const start = Math.max(index - CALL_SITE_CONTEXT_LINES, 0);
+        sites.push({ startLine: start + 1, lines: lines.slice(start, index + CALL_SITE_CONTEXT_LINES + 1) });
+        if (sites.length >= MAX_CALL_SITES_PER_SYMBOL) break;
+    }
+    return sites;
+}
+
+/**
+ * Render snippets for the review prompt, in order, until the token budget runs out
+ * @param {ContextSnippet[]} snippets - Snippets, most relevant first
+ * @param {number} maxTokens - Token budget
+ * @returns {string} - Prompt section, or an empty string if there is nothing to show
+ */
+function formatContextSnippets(snippets, maxTokens) {
+    const blocks = [];
+    let used = 0;
+    for (const snippet of snippets) {
+        const numbered = snippet.lines.map((line, i) => `${String(snippet.startLine + i).padStart(5)} ${line}`);
+        const block = `--- ${snippet.path} (${snippet.reason}) ---\n${numbered.join('\n')}`;
+        const tokens = estimateTokens(block);
+        if (used + tokens > maxTokens) continue;
+        blocks.push(block);
+        used += tokens;
+    }
+    if (blocks.length === 0) return '';
+    return `RELATED CODE FROM OTHER FILES (for context only; do not comment on it):\n${blocks.join('\n\n')}`;
+}
+
+/**
+ * Create a collector of related code from the rest of the repository
+ *
+ * Files are read once per review: the modules a changed file imports, and every other file changed in the PR,
+ * which is searched for calls to symbols whose definitions changed.
+ * @param {Object} options - Collector options
+ * @param {Function} options.readFile - Reads a file from the PR's source branch, rejecting with statusCode 404 if it is missing
+ * @param {string[]} options.changedPaths - Files added or edited in the PR
+ * @param {number} [options.maxTokens] - Token budget for related code in each prompt
+ * @returns {{remember: Function, collect: Function}} - Collector; remember(path, content) records a file
+ *   that was already read, collect(filePath, hunks, content) resolves with the prompt section for a file
+ */
+function createContextCollector(options) {
+    const maxTokens = options.maxTokens ?? DEFAULT_CONTEXT_MAX_TOKENS;
+    const files = new Map();
+
+    const read = filePath => {
+        if (!files.has(filePath)) {
+            files.set(filePath, options.readFile(filePath).catch(error => {
+                if (error.statusCode === 404) return null;
+                throw error;
+            }));
+        }
+        return files.get(filePath);
+    };
+
+    const remember = (filePath, content) => {
+        if (!files.has(filePath)) files.set(filePath, Promise.resolve(content));
+    };
+
+    /**
+     * Find the first candidate path that exists, checking files changed in the PR first
+     * @param {string[]} candidates - Candidate paths
+     * @returns {Promise<{path: string, content: string}|null>} - Resolved file, or null if none exists
+     */
+    const resolveImport = async candidates => {
+        const ordered = [
+            ...candidates.filter(candidate => options.changedPaths.includes(candidate)),
+            ...candidates.filter(candidate => !options.changedPaths.includes(candidate))
+        ];
+        for (const candidate of ordered) {
+            const content = await read(candidate);
+            if (content !== null) return { path: candidate, content };
+        }
+        return null;
+    };
+
+    async function collect(filePath, hunks, content) {
+        if (maxTokens <= 0) return '';
+        const snippets = [];
+
+        // Callers elsewhere in the PR break first when a signature changes
+        const changedSymbols = findChangedSymbols(hunks);
+        if (changedSymbols.length > 0) {
+            const others = options.changedPaths.filter(other => other !== filePath);
+            const contents = await Promise.all(others.map(read));
+            for (const [index, other] of others.entries()) {
+                if (!contents[index]) continue;
+                for (const name of changedSymbols) {
+                    for (const site of findCallSites(contents[index], name)) {
+                        snippets.push({ path: other, reason: `calls ${name}`, ...site });
+                    }
+                }
+            }
+        }
+
+        // Then the definitions this file relies on, those used on changed lines first
+        const changedText = hunks.flatMap(hunk => hunk.lines.filter(line => line.type === 'add').map(line => line.text)).join('\n');
+        const definitions = [];
+        for (const reference of findImports(content, filePath).slice(0, MAX_IMPORTS)) {
+            const resolved = await resolveImport(resolveImportCandidates(reference.specifier, filePath));
+            if (!resolved) continue;
+            for (const name of reference.names) {
+                const definition = findDefinition(resolved.content, name);
+                if (!definition) continue;
+                const usedInChange = new RegExp(`\\b${escapeRegExp(name)}\\b`).test(changedText);
+                definitions.push({ usedInChange, snippet: { path: resolved.path, reason: `defines ${name}`, ...definition } });
+            }
+        }
+        definitions.sort((a, b) => Number(b.usedInChange) - Number(a.usedInChange));
+        snippets.push(...definitions.map(definition => definition.snippet));
+
+        return formatContextSnippets(snippets, maxTokens);
+    }
+
+    return { remember, collect };
+}
+
+module.exports = {
+    DEFAULT_CONTEXT_MAX_TOKENS,
+    findChangedSymbols,
+    findImports,
+    resolveImportCandidates,
+    createContextCollector
+};
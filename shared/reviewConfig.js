@@ -0,0 +1,218 @@
+const YAML = require('yaml');
+const { minimatch } = require('minimatch');
+const { builtinRules } = require('eslint/use-at-your-own-risk');
+const { SEVERITY_LEVELS } = require('./findings');
+
+// Looked up in this order in the PR's target branch; the first one found wins
+const REPO_CONFIG_FILES = ['/.ai-review.yml', '/.ai-review.yaml', '/.ai-review.json'];
+
+// Code of errors about an invalid configuration file; retrying won't help until the file is fixed
+const INVALID_REVIEW_CONFIG = 'INVALID_REVIEW_CONFIG';
+
+/**
+ * @typedef {Object} RepositoryConfig
+ * @property {string[]} [include] - Path globs to review; everything when empty
+ * @property {string[]} [exclude] - Path globs to skip
+ * @property {string[]} [guidelines] - Guidelines file paths in the repository, or URLs
+ * @property {string} [model] - Model type, same values as MODEL_TYPE
+ * @property {number} [maxComments] - Maximum comments to post per review
+ * @property {string} [severityThreshold] - Lowest severity to post
+ * @property {boolean} [createCorrectionPR] - Whether to open a PR with corrections
+ * @property {string} [failOnSeverity] - Lowest severity that fails the review status
+ * @property {number} [maxBlockingFindings] - Blocking findings allowed before the review status fails
+ * @property {string[]} [staticAnalyzers] - Static analyzers to run before the model; none when empty
+ * @property {Object} [eslintRules] - Severity of ESLint rule findings by rule, or "off"
+ */
+
+/**
+ * Create the error for an invalid review configuration file
+ * @param {string} filePath - Configuration file path
+ * @param {string} message - What is wrong with it
+ * @returns {Error} - Error with code INVALID_REVIEW_CONFIG
+ */
+function createConfigError(filePath, message) {
+    const error = new Error(`Invalid review configuration in ${filePath}: ${message}`);
+    error.code = INVALID_REVIEW_CONFIG;
+    return error;
+}
+
+/**
+ * Load the review configuration file from a repository, if it has one
+ * @param {Function} readFile - Reads a repository file by path, rejecting with statusCode 404 if it is missing
+ * @returns {Promise<{path: string, config: RepositoryConfig}|null>} - Parsed configuration, or null if there is none
+ */
+async function loadRepositoryConfig(readFile) {
+    for (const filePath of REPO_CONFIG_FILES) {
+        let content;
+        try {
+            content = await readFile(filePath);
+        } catch (error) {
+            if (error.statusCode === 404) continue;
+            throw error;
+        }
+        return { path: filePath, config: parseRepositoryConfig(content, filePath) };
+    }
+    return null;
+}
+
+/**
+ * Parse and validate a review configuration file
+ * @param {string} content - File content
+ * @param {string} filePath - File path, used to pick the format and in error messages
+ * @returns {RepositoryConfig} - Validated configuration
+ */
+function parseRepositoryConfig(content, filePath) {
+    let raw;
+    try {
+        raw = filePath.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+        throw createConfigError(filePath, error.message);
+    }
+
+    // An empty file is a valid "use the defaults" configuration
+    if (raw === null || raw === undefined) return {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw createConfigError(filePath, 'expected an object');
+    }
+
+    const config = {};
+    const fail = message => {
+        throw createConfigError(filePath, message);
+    };
+
+    for (const key of ['include', 'exclude']) {
+        if (raw[key] === undefined) continue;
+        const globs = typeof raw[key] === 'string' ? [raw[key]] : raw[key];
+        if (!Array.isArray(globs) || globs.some(glob => typeof glob !== 'string')) {
+            fail(`'${key}' must be a glob or a list of globs`);
+        }
+        config[key] = globs;
+    }
+
+    if (raw.guidelines !== undefined) {
+        const sources = typeof raw.guidelines === 'string' ? [raw.guidelines] : raw.guidelines;
+        if (!Array.isArray(sources) || sources.length === 0 ||
+            sources.some(source => typeof source !== 'string' || !source.trim())) {
+            fail("'guidelines' must be a path or URL, or a list of them");
+        }
+        config.guidelines = sources.map(source => source.trim());
+    }
+
+    if (raw.model !== undefined) {
+        if (typeof raw.model !== 'string' || !raw.model.trim()) fail("'model' must be a non-empty string");
+        config.model = raw.model.trim();
+    }
+
+    for (const key of ['maxComments', 'maxBlockingFindings']) {
+        if (raw[key] === undefined) continue;
+        if (!Number.isInteger(raw[key]) || raw[key] < 0) {
+            fail(`'${key}' must be a non-negative integer`);
+        }
+        config[key] = raw[key];
+    }
+
+    for (const key of ['severityThreshold', 'failOnSeverity']) {
+        if (raw[key] === undefined) continue;
+        const severity = String(raw[key]).toLowerCase();
+        if (!SEVERITY_LEVELS.includes(severity)) {
+            fail(`'${key}' must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+        }
+        config[key] = severity;
+    }
+
+    if (raw.createCorrectionPR !== undefined) {
+        if (typeof raw.createCorrectionPR !== 'boolean') fail("'createCorrectionPR' must be true or false");
+        config.createCorrectionPR = raw.createCorrectionPR;
+    }
+
+    if (raw.staticAnalyzers !== undefined) {
+        const analyzers = typeof raw.staticAnalyzers === 'string' ? [raw.staticAnalyzers] : raw.staticAnalyzers;
+        if (!Array.isArray(analyzers) || analyzers.some(analyzer => typeof analyzer !== 'string')) {
+            fail("'staticAnalyzers' must be an analyzer name or a list of them");
+        }
+        config.staticAnalyzers = analyzers.map(analyzer => analyzer.trim().toLowerCase());
+    }
+
+    if (raw.eslintRules !== undefined) {
+        if (typeof raw.eslintRules !== 'object' || raw.eslintRules === null || Array.isArray(raw.eslintRules)) {
+            fail("'eslintRules' must map rule names to a severity or \"off\"");
+        }
+        config.eslintRules = {};
+        for (const [rule, value] of Object.entries(raw.eslintRules)) {
+            // Plugins aren't loaded, so only core rules can run
+            if (!builtinRules.has(rule)) {
+                fail(`'eslintRules.${rule}' is not a core ESLint rule; plugin rules aren't available`);
+            }
+            const level = String(value).toLowerCase();
+            if (level !== 'off' && !SEVERITY_LEVELS.includes(level)) {
+                fail(`'eslintRules.${rule}' must be one of: ${[...SEVERITY_LEVELS, 'off'].join(', ')}`);
+            }
+            config.eslintRules[rule] = level;
+        }
+    }
+
+    const known = [
+        'include', 'exclude', 'guidelines', 'model', 'maxComments', 'severityThreshold', 'createCorrectionPR',
+        'failOnSeverity', 'maxBlockingFindings', 'staticAnalyzers', 'eslintRules'
+    ];
+    const unknown = Object.keys(raw).filter(key => !known.includes(key));
+    if (unknown.length > 0) {
+        console.warn(`Ignoring unknown settings in ${filePath}: ${unknown.join(', ')}`);
+    }
+
+    return config;
+}
+
+/**
+ * Override environment configuration with repository settings
+ * @param {Object} config - Configuration built from environment variables
+ * @param {RepositoryConfig} repoConfig - Repository configuration
+ * @returns {Object} - Merged configuration
+ */
+function mergeRepositoryConfig(config, repoConfig) {
+    const merged = { ...config };
+
+    if (repoConfig.include !== undefined) merged.INCLUDE_PATHS = repoConfig.include;
+    if (repoConfig.exclude !== undefined) merged.EXCLUDE_PATHS = repoConfig.exclude;
+    if (repoConfig.guidelines !== undefined) {
+        // URLs are loaded like INSTRUCTION_SOURCE; anything else is a file in the reviewed repository
+        merged.GUIDELINE_SOURCES = repoConfig.guidelines.map(source => (/^https?:\/\//.test(source)
+            ? source
+            : `repo:/${source.replace(/^(repo:)?\/*/, '')}`));
+    }
+    if (repoConfig.model !== undefined) merged.MODEL_TYPE = repoConfig.model;
+    if (repoConfig.maxComments !== undefined) merged.MAX_COMMENTS = repoConfig.maxComments;
+    if (repoConfig.severityThreshold !== undefined) merged.SEVERITY_THRESHOLD = repoConfig.severityThreshold;
+    if (repoConfig.createCorrectionPR !== undefined) merged.CREATE_NEW_PR = repoConfig.createCorrectionPR;
+    if (repoConfig.failOnSeverity !== undefined) merged.FAIL_ON_SEVERITY = repoConfig.failOnSeverity;
+    if (repoConfig.maxBlockingFindings !== undefined) merged.MAX_BLOCKING_FINDINGS = repoConfig.maxBlockingFindings;
+    if (repoConfig.staticAnalyzers !== undefined) merged.STATIC_ANALYZERS = repoConfig.staticAnalyzers;
+    if (repoConfig.eslintRules !== undefined) merged.ESLINT_RULES = { ...merged.ESLINT_RULES, ...repoConfig.eslintRules };
+
+    return merged;
+}
+
+/**
+ * Check a file path against the include and exclude globs
+ * @param {string} filePath - Repository file path
+ * @param {string[]} include - Globs to review; everything when empty
+ * @param {string[]} exclude - Globs to skip
+ * @returns {boolean} - Whether the file should be reviewed
+ */
+function isPathIncluded(filePath, include, exclude) {
+    const relativePath = filePath.replace(/^\/+/, '');
+    // Globs without a slash match the file name at any depth, like .gitignore
+    const matches = glob => minimatch(relativePath, glob.replace(/^\/+/, ''), { dot: true, matchBase: true });
+
+    if (include.length > 0 && !include.some(matches)) return false;
+    return !exclude.some(matches);
+}
+
+module.exports = {
+    INVALID_REVIEW_CONFIG,
+    createConfigError,
+    loadRepositoryConfig,
+    parseRepositoryConfig,
+    mergeRepositoryConfig,
+    isPathIncluded
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { getTableClient } = require('./tableStorage');
+
+// Must match the queueName in the function.json bindings of the webhook and queue functions
+const REVIEW_QUEUE_NAME = 'pr-review-jobs';
+const JOB_TABLE_NAME = 'PRReviewJobs';
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    RETRYING: 'retrying',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+/**
+ * @typedef {Object} ReviewJob
+ * @property {string} jobId - Job ID, the same for every webhook about the same PR iteration
+ * @property {string} provider - Repository host: "azure", "github" or "gitlab"
+ * @property {string} organization - Azure DevOps organization, GitHub owner or top-level GitLab group
+ * @property {string} project - Project name
+ * @property {string} repository - Repository name
+ * @property {number} pullRequestId - PR ID
+ * @property {string} [sourceCommitId] - Source commit of the PR iteration that triggered the job
+ * @property {Object} [command] - "@ai" command to answer instead of reviewing, with name, question, threadId and commentId
+ * @property {boolean} [dryRun] - Report what the job would do instead of writing to the PR
+ * @property {string} enqueuedAt - When the webhook was received, as an ISO date
+ */
+
+/**
+ * Describe a review job for a PR iteration, or for a command given in a PR comment
+ * @param {Object} target - Provider, organization, project, repository, pullRequestId, sourceCommitId, command
+ *   and dryRun
+ * @returns {ReviewJob} - Review job
+ */
+function createReviewJob(target) {
+    // Commands are matched by comment; without a source commit the iteration is unknown,
+    // so the job can't be matched with others
+    const iteration = target.command
+        ? `comment-${target.command.threadId}-${target.command.commentId}`
+        : target.sourceCommitId || crypto.randomUUID();
+    const provider = target.provider || 'azure';
+    const key = [provider, target.organization, target.project, target.repository, target.pullRequestId, iteration]
+        .join('|')
+        .toLowerCase();
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+
+    return {
+        jobId: `pr-${target.pullRequestId}-${hash}`,
+        provider,
+        organization: target.organization,
+        project: target.project,
+        repository: target.repository,
+        pullRequestId: target.pullRequestId,
+        sourceCommitId: target.sourceCommitId || '',
+        ...(target.command && { command: target.command }),
+        ...(target.dryRun && { dryRun: true }),
+        enqueuedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Get the table that tracks review jobs, creating it on first use
+ * @param {string} connectionString - Storage connection string, usually AzureWebJobsStorage
+ * @returns {Promise<TableClient>} - Table client
+ */
+function getJobTable(connectionString) {
+    return getTableClient(connectionString, JOB_TABLE_NAME);
+}
+
+/**
+ * Record a new review job, unless the same PR iteration already has one
+ * @param {TableClient} table - Job table
+ * @param {ReviewJob} job - Review job
+ * @returns {Promise<{created: boolean, status: string}>} - Whether the job should be queued, and its status
+ */
+async function registerReviewJob(table, job) {
+    const entity = {
+        partitionKey: job.organization,
+        rowKey: job.jobId,
+        provider: job.provider,
+        project: job.project,
+        repository: job.repository,
+        pullRequestId: job.pullRequestId,
+        sourceCommitId: job.sourceCommitId,
+        command: job.command?.name || '',
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        error: '',
+        updatedAt: job.enqueuedAt
+    };
+
+    try {
+        await table.createEntity(entity);
+        return { created: true, status: JOB_STATUS.QUEUED };
+    } catch (error) {
+        if (error.statusCode !== 409) throw error;
+    }
+
+    // Retry jobs that gave up; anything else is still in flight or already done
+    const existing = await table.getEntity(job.organization, job.jobId);
+    if (existing.status !== JOB_STATUS.FAILED) {
+        return { created: false, status: existing.status };
+    }
+
+    try {
+        await table.updateEntity(entity, 'Replace', { etag: existing.etag });
+        return { created: true, status: JOB_STATUS.QUEUED };
+    } catch (error) {
+        // Another webhook re-queued the job first
+        if (error.statusCode === 412) return { created: false, status: JOB_STATUS.QUEUED };
+        throw error;
+    }
+}
+
+/**
+ * Read a review job's record
+ * @param {TableClient} table - Job table
+ * @param {ReviewJob} job - Review job
+ * @returns {Promise<Object|null>} - Job record, or null if there is none
+ */
+async function getReviewJob(table, job) {
+    try {
+        return await table.getEntity(job.organization, job.jobId);
+    } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+/**
+ * Update a review job's record
+ * @param {TableClient} table - Job table
+ * @param {ReviewJob} job - Review job
+ * @param {Object} fields - Fields to set, such as status, attempts, message or error
+ */
+async function updateReviewJob(table, job, fields) {
+    await table.upsertEntity({
+        partitionKey: job.organization,
+        rowKey: job.jobId,
+        ...fields,
+        updatedAt: new Date().toISOString()
+    }, 'Merge');
+}
+
+module.exports = {
+    REVIEW_QUEUE_NAME,
+    JOB_STATUS,
+    createReviewJob,
+    getJobTable,
+    registerReviewJob,
+    getReviewJob,
+    updateReviewJob
+};
@@ -0,0 +1,87 @@
+const { buildReviewConfig, getConfigError, processPullRequest, processCommand } = require('./pullRequestReview');
+const { REVIEW_QUEUE_NAME, getJobTable, registerReviewJob } = require('./reviewJobs');
+
+/**
+ * Check whether a request asks for a dry run with its "dryRun" query parameter
+ *
+ * DRY_RUN=true makes every job a dry run whatever the request says.
+ * @param {Object} req - HTTP request
+ * @returns {boolean} - Whether to report what the review would do instead of doing it
+ */
+function isDryRunRequest(req) {
+    const value = req.query?.dryRun;
+    // "?dryRun" without a value counts as asking for one
+    return value !== undefined && !['false', '0'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Queue a review job, or run it right away when it is a dry run
+ *
+ * Dry runs post nothing to the PR, so their only output is the response: they run within the request
+ * and answer with the comments, replies and corrections the job would have made.
+ * @param {Object} context - Azure Function context with a reviewJob queue output binding
+ * @param {ReviewJob} job - Review job
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - HTTP response
+ */
+async function submitReviewJob(context, job, env) {
+    const config = buildReviewConfig(env, job);
+
+    // Catch configuration problems now rather than in the queue, where they would only show up in the logs
+    const configError = getConfigError(env, config);
+    if (configError) {
+        context.log.error(configError);
+        return {
+            status: 500,
+            body: configError
+        };
+    }
+
+    if (config.DRY_RUN) {
+        context.log(`Dry run of ${job.command ? `@ai ${job.command.name}` : 'review'} for PR ${job.pullRequestId}`);
+        let result;
+        try {
+            result = job.command
+                ? await processCommand(context, config, job.command)
+                : await processPullRequest(context, config);
+        } catch (error) {
+            const errorMsg = `Dry run failed: ${error.message || error}`;
+            context.log.error(errorMsg);
+            return {
+                status: 500,
+                body: errorMsg
+            };
+        }
+        context.log(result.message);
+        return {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: { jobId: job.jobId, dryRun: true, ...result }
+        };
+    }
+
+    // Webhooks for the same PR iteration share a job ID, so duplicates collapse into one job
+    const jobTable = await getJobTable(env.AzureWebJobsStorage);
+    const registration = await registerReviewJob(jobTable, job);
+    if (registration.created) {
+        context.bindings.reviewJob = job;
+        context.log(`Queued ${job.command ? `@ai ${job.command.name}` : 'review'} job ${job.jobId} for PR ${job.pullRequestId} on ${REVIEW_QUEUE_NAME}`);
+    } else {
+        context.log(`PR ${job.pullRequestId} iteration already has review job ${job.jobId} (${registration.status})`);
+    }
+
+    return {
+        status: 202,
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+            jobId: job.jobId,
+            status: registration.status,
+            duplicate: !registration.created
+        }
+    };
+}
+
+module.exports = {
+    isDryRunRequest,
+    submitReviewJob
+};
@@ -0,0 +1,114 @@
+const { JsonOutputParser } = require('@langchain/core/output_parsers');
+const { SEVERITY_LEVELS } = require('./findings');
+
+// Enough of a rejected response for the model to see what it got wrong, without doubling the prompt
+const MAX_REPAIR_RESPONSE_LENGTH = 4000;
+const MAX_REPORTED_PROBLEMS = 10;
+
+/**
+ * @typedef {Object} ReviewResponse
+ * @property {string} raw - Response text as the model returned it
+ * @property {Object} [response] - Parsed response, when it was valid JSON
+ * @property {string[]} problems - Ways the response breaks the response format, empty when it is valid
+ */
+
+/**
+ * Check whether a value is a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is an object and not an array or null
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check a parsed review response against the response format in the review prompt
+ *
+ * Values are not coerced: a line number like "12" or "line 12" is a problem, so nothing the model
+ * gets wrong ends up anchored to a line by guesswork.
+ * @param {*} response - Parsed model response
+ * @returns {string[]} - Problems, empty when the response is valid
+ */
+function validateReviewResponse(response) {
+    if (!isObject(response)) {
+        return ['the response must be a JSON object with a "comments" array'];
+    }
+    if (!Array.isArray(response.comments)) {
+        return ['"comments" must be an array, empty when there is nothing to comment on'];
+    }
+
+    const problems = [];
+    response.comments.forEach((comment, index) => {
+        const at = `comments[${index}]`;
+        if (!isObject(comment)) {
+            problems.push(`${at} must be an object`);
+            return;
+        }
+        if (!Number.isInteger(comment.lineNumber) || comment.lineNumber < 1) {
+            problems.push(`${at}.lineNumber must be a positive integer line number`);
+        }
+        if (comment.endLineNumber !== undefined && comment.endLineNumber !== null &&
+            (!Number.isInteger(comment.endLineNumber) || comment.endLineNumber < comment.lineNumber)) {
+            problems.push(`${at}.endLineNumber must be an integer line number no smaller than lineNumber`);
+        }
+        if (!SEVERITY_LEVELS.includes(String(comment.severity).toLowerCase())) {
+            problems.push(`${at}.severity must be one of ${SEVERITY_LEVELS.map(level => `"${level}"`).join(', ')}`);
+        }
+        if (typeof comment.category !== 'string') {
+            problems.push(`${at}.category must be a string`);
+        }
+        if (typeof comment.comment !== 'string' || !comment.comment.trim()) {
+            problems.push(`${at}.comment must be a non-empty string`);
+        }
+        if (comment.suggestion !== undefined && comment.suggestion !== null && typeof comment.suggestion !== 'string') {
+            problems.push(`${at}.suggestion must be a string or left out`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Parse and validate a model's review response
+ * @param {Object} message - Model response message
+ * @param {Function} [validate] - Checks the parsed response against another response format, returning its problems
+ * @returns {Promise<ReviewResponse>} - Parsed response and its problems
+ */
+async function parseReviewResponse(message, validate = validateReviewResponse) {
+    const raw = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+    let response;
+    try {
+        response = await new JsonOutputParser().invoke(message);
+    } catch (error) {
+        return { raw, problems: [`the response is not valid JSON (${error.message})`] };
+    }
+    return { raw, response, problems: validate(response) };
+}
+
+/**
+ * Describe a rejected response so the model can answer again in the right format
+ * @param {ReviewResponse} rejected - Response that failed validation
+ * @returns {string} - Note appended to the review prompt
+ */
+function formatRepairRequest(rejected) {
+    const problems = rejected.problems.slice(0, MAX_REPORTED_PROBLEMS);
+    if (rejected.problems.length > problems.length) {
+        problems.push(`and ${rejected.problems.length - problems.length} more`);
+    }
+    const raw = rejected.raw.length > MAX_REPAIR_RESPONSE_LENGTH
+        ? `${rejected.raw.slice(0, MAX_REPAIR_RESPONSE_LENGTH)}\n[...]`
+        : rejected.raw;
+
+    return `YOUR PREVIOUS RESPONSE WAS REJECTED because it doesn't match the RESPONSE FORMAT:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Previous response:
+${raw}
+
+Answer again with only the JSON object, in exactly the RESPONSE FORMAT above.`;
+}
+
+module.exports = {
+    validateReviewResponse,
+    parseReviewResponse,
+    formatRepairRequest
+};
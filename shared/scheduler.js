@@ -0,0 +1,166 @@
+const DEFAULT_RETRIES = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 60000;
+
+// Status codes worth retrying: timeouts, rate limits and server errors other than "not implemented"
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+/**
+ * @typedef {Object} SchedulerOptions
+ * @property {number} [concurrency] - Tasks allowed to run at once; unlimited when not set
+ * @property {number} [retries] - Times a task is retried after a transient failure
+ * @property {number} [baseDelayMs] - Delay before the first retry; doubles with every retry
+ * @property {number} [maxDelayMs] - Longest delay between attempts, including delays asked for by Retry-After
+ * @property {Function} [onRetry] - Called with the task label, error, attempt number and delay before each retry
+ */
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a promise with a timeout
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} - Result of the promise
+ */
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Read the HTTP status code from an Azure DevOps, OpenAI or Gemini client error
+ * @param {Error} error - Error thrown by a client
+ * @returns {number|undefined} - Status code, if the error has one
+ */
+function getStatusCode(error) {
+    return error?.statusCode ?? error?.status ?? error?.response?.status;
+}
+
+/**
+ * Check whether a failed call is worth retrying
+ * @param {Error} error - Error thrown by the call
+ * @returns {boolean} - Whether the failure is transient
+ */
+function isRetryableError(error) {
+    const status = getStatusCode(error);
+    if (status !== undefined) return RETRYABLE_STATUS_CODES.includes(Number(status));
+
+    const code = error?.code ?? error?.cause?.code;
+    return RETRYABLE_ERROR_CODES.includes(code);
+}
+
+/**
+ * Read how long the server asked us to wait, from Retry-After style headers
+ * @param {Error} error - Error thrown by a client
+ * @returns {number|null} - Delay in milliseconds, or null if the server didn't say
+ */
+function getRetryAfterMs(error) {
+    const headers = error?.headers ?? error?.responseHeaders ?? error?.response?.headers;
+    if (!headers) return null;
+
+    const header = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+    const retryAfterMs = Number(header('retry-after-ms'));
+    if (retryAfterMs > 0) return retryAfterMs;
+
+    const retryAfter = header('retry-after');
+    if (!retryAfter) return null;
+
+    // Either a number of seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.max(seconds * 1000, 0);
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Create a scheduler that limits how many tasks run at once and retries transient failures
+ *
+ * Rate limits are shared: when one task is told to back off, the others wait too before their next attempt.
+ * @param {SchedulerOptions} [options] - Scheduler options
+ * @returns {{run: Function}} - Scheduler; run(task, label) resolves with the task's result
+ */
+function createScheduler(options = {}) {
+    const concurrency = options.concurrency > 0 ? options.concurrency : Infinity;
+    const retries = options.retries ?? DEFAULT_RETRIES;
+    const baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+    const maxDelayMs = options.maxDelayMs ?? DEFAULT_MAX_DELAY_MS;
+
+    const waiting = [];
+    let active = 0;
+    let pausedUntil = 0;
+
+    const acquire = () => new Promise(resolve => {
+        if (active < concurrency) {
+            active++;
+            resolve();
+        } else {
+            waiting.push(resolve);
+        }
+    });
+
+    const release = () => {
+        const next = waiting.shift();
+        if (next) {
+            next();
+        } else {
+            active--;
+        }
+    };
+
+    /**
+     * Run a task once a slot is free, retrying it while it fails with transient errors
+     * @param {Function} task - Async function to run
+     * @param {string} [label] - Task description for retry logs
+     * @returns {Promise} - Result of the task
+     */
+    async function run(task, label = 'task') {
+        for (let attempt = 1; ; attempt++) {
+            // Wait out a rate limit that another task ran into
+            while (Date.now() < pausedUntil) {
+                await sleep(pausedUntil - Date.now());
+            }
+
+            let delay;
+            await acquire();
+            try {
+                return await task();
+            } catch (error) {
+                if (attempt > retries || !isRetryableError(error)) throw error;
+
+                const retryAfter = getRetryAfterMs(error);
+                const backoff = baseDelayMs * 2 ** (attempt - 1);
+                // Jitter keeps tasks that failed together from retrying together
+                delay = Math.min(retryAfter ?? backoff * (0.5 + Math.random() / 2), maxDelayMs);
+                if (getStatusCode(error) === 429 || retryAfter !== null) {
+                    pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+                }
+                if (options.onRetry) options.onRetry(label, error, attempt, delay);
+            } finally {
+                release();
+            }
+            await sleep(delay);
+        }
+    }
+
+    return { run };
+}
+
+module.exports = {
+    createScheduler,
+    withTimeout,
+    isRetryableError,
+    getRetryAfterMs
+};
@@ -0,0 +1,167 @@
+const { default: axios } = require('axios');
+
+// Thread states shared by every provider; providers without one of them map it to the closest they have
+const THREAD_STATUS = {
+    ACTIVE: 'active',
+    PENDING: 'pending',
+    FIXED: 'fixed',
+    WONT_FIX: 'wontFix',
+    BY_DESIGN: 'byDesign',
+    CLOSED: 'closed'
+};
+
+// Reported as "ai-review/guidelines" next to the provider's other checks
+const REVIEW_STATUS_NAME = 'ai-review/guidelines';
+
+// Linked work items read for a PR at most; a PR linked to more is usually a roll-up the check can't judge anyway
+const MAX_WORK_ITEMS = 10;
+
+/**
+ * @typedef {Object} PullRequestInfo
+ * @property {number} id - PR number within the repository
+ * @property {string} title - PR title
+ * @property {string} description - PR description
+ * @property {boolean} isDraft - Whether the PR is a draft
+ * @property {string} sourceBranch - Source branch name, without "refs/heads/"
+ * @property {string} targetBranch - Target branch name, without "refs/heads/"
+ * @property {string} [url] - Web URL of the PR
+ * @property {string} reference - How the provider refers to the PR in markdown, e.g. "!12" or "#12"
+ */
+
+/**
+ * @typedef {Object} WorkItem
+ * @property {number} id - Work item or issue number
+ * @property {string} type - Kind of work item, e.g. "User Story", "Bug" or "Issue"
+ * @property {string} title - Work item title
+ * @property {string} description - Description as plain text or markdown
+ * @property {string} acceptanceCriteria - Acceptance criteria; empty when the provider has no field for them
+ * @property {string} [state] - Work item state, e.g. "Active" or "open"
+ * @property {string} [url] - Web URL of the work item
+ */
+
+/**
+ * @typedef {Object} Iteration
+ * @property {number} id - Iteration ID; later pushes have higher IDs
+ * @property {string} commitId - Source commit of the iteration
+ */
+
+/**
+ * @typedef {Object} FileChange
+ * @property {string} path - Repository file path, starting with "/"
+ * @property {string|null} originalPath - Path before the change; null for added files
+ * @property {string} kind - 'add', 'edit', 'rename' or 'delete'
+ */
+
+/**
+ * @typedef {Object} ReviewThread
+ * @property {number|string} id - Thread ID
+ * @property {string} status - One of THREAD_STATUS
+ * @property {string} [filePath] - File the thread is on, starting with "/"; not set for PR-level threads
+ * @property {number} [startLine] - First line of the new file the thread is anchored to
+ * @property {number} [endLine] - Last line of the new file the thread is anchored to
+ * @property {Object[]} comments - Comments with id, content, author, authorId, isDeleted and byReviewer (whether
+ *   the identity the client authenticates as wrote it), oldest first
+ */
+
+/**
+ * @typedef {Object} ScmClient
+ * @property {Function} getIterations - getIterations() resolves with the PR's iterations, oldest first
+ * @property {Function} getChanges - getChanges(latest, base) resolves with the files changed up to the latest
+ *   iteration, or since the base iteration when one is given
+ * @property {Function} getFileContent - getFileContent(filePath, ref) resolves with a file's content at a branch
+ *   or commit; rejects with statusCode 404 when the file doesn't exist
+ * @property {Function} getWorkItems - getWorkItems() resolves with the work items or issues linked to the PR,
+ *   at most MAX_WORK_ITEMS
+ * @property {Function} getThreads - getThreads() resolves with the PR's comment threads
+ * @property {Function} getThread - getThread(threadId) resolves with one thread, or null
+ * @property {Function} createThread - createThread({content, status, filePath, startLine, endLine, endOffset})
+ *   starts a thread, anchored to lines of the new file when a file path is given
+ * @property {Function} replyToThread - replyToThread(threadId, content, parentCommentId) adds a comment to a thread
+ * @property {Function} updateComment - updateComment(threadId, commentId, content) replaces a comment's content
+ * @property {Function} setThreadStatus - setThreadStatus(threadId, status) changes a thread's THREAD_STATUS
+ * @property {Function} canDismissFindings - canDismissFindings(authorId) resolves with whether a comment author
+ *   may close findings for good: someone other than the PR's author who can review it
+ * @property {Function} postStatus - postStatus({state, description, iterationId, commitId}) reports the review
+ *   as a 'succeeded' or 'failed' check
+ * @property {Function} getBranchHead - getBranchHead(branch) resolves with a branch's commit, or null
+ * @property {Function} findPullRequest - findPullRequest(sourceBranch) resolves with the open PR from a branch
+ *   as {id, description, url, reference}, or null
+ * @property {Function} commitFiles - commitFiles({branch, parentCommitId, oldCommitId, files, message}) commits
+ *   new content for files ({path, content}) on a branch, creating the branch when oldCommitId is not given
+ * @property {Function} deleteBranch - deleteBranch(branch, commitId) deletes a branch
+ * @property {Function} createPullRequest - createPullRequest({sourceBranch, targetBranch, title, description})
+ *   resolves with the new PR's id, url and reference
+ * @property {Function} updatePullRequest - updatePullRequest(id, {description}) updates a PR's description
+ * @property {Function} abandonPullRequest - abandonPullRequest(id, comment) comments on a PR and closes it
+ */
+
+/**
+ * Turn a path from a provider's API into a repository path starting with "/", as Azure DevOps reports them
+ * @param {string} filePath - Path, with or without a leading "/"
+ * @returns {string} - Repository path
+ */
+function toRepositoryPath(filePath) {
+    return `/${String(filePath).replace(/^\/+/, '')}`;
+}
+
+/**
+ * Turn a repository path into the relative path GitHub and GitLab expect
+ * @param {string} filePath - Repository path
+ * @returns {string} - Path without a leading "/"
+ */
+function toRelativePath(filePath) {
+    return String(filePath).replace(/^\/+/, '');
+}
+
+/**
+ * Create an HTTP client for a provider's REST API
+ *
+ * Failed requests reject with the statusCode and headers the review's scheduler needs to retry them,
+ * and a message that says which request failed.
+ * @param {string} baseURL - API base URL
+ * @param {Object} headers - Headers sent with every request, e.g. authentication
+ * @returns {Object} - Axios instance
+ */
+function createHttpClient(baseURL, headers) {
+    const client = axios.create({ baseURL, headers });
+    client.interceptors.response.use(undefined, error => {
+        const response = error.response;
+        const detail = response?.data?.message || response?.data?.error || error.message;
+        const wrapped = new Error(`${(error.config?.method || 'get').toUpperCase()} ${error.config?.url} failed: ` +
+            `${response ? `HTTP ${response.status} ` : ''}${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+        wrapped.statusCode = response?.status;
+        wrapped.headers = response?.headers;
+        wrapped.code = error.code;
+        return Promise.reject(wrapped);
+    });
+    return client;
+}
+
+/**
+ * Read every page of a paginated list
+ * @param {Object} client - HTTP client
+ * @param {string} url - List URL
+ * @param {Object} [params] - Query parameters
+ * @param {number} [maxPages] - Pages to read at most
+ * @returns {Promise<Object[]>} - Items from all pages
+ */
+async function getAllPages(client, url, params = {}, maxPages = 30) {
+    const perPage = 100;
+    const items = [];
+    for (let page = 1; page <= maxPages; page++) {
+        const { data } = await client.get(url, { params: { ...params, per_page: perPage, page } });
+        items.push(...data);
+        if (data.length < perPage) break;
+    }
+    return items;
+}
+
+module.exports = {
+    THREAD_STATUS,
+    REVIEW_STATUS_NAME,
+    MAX_WORK_ITEMS,
+    toRepositoryPath,
+    toRelativePath,
+    createHttpClient,
+    getAllPages
+};
@@ -0,0 +1,431 @@
+const azdev = require('azure-devops-node-api');
+const GitInterfaces = require('azure-devops-node-api/interfaces/GitInterfaces');
+const { WorkItemErrorPolicy } = require('azure-devops-node-api/interfaces/WorkItemTrackingInterfaces');
+const { THREAD_STATUS, MAX_WORK_ITEMS } = require('./scm');
+const { parseRepositoryUrl } = require('./webhookAuth');
+const { COMMENT_EVENT_TYPES, getCommentThreadId } = require('./commands');
+
+// Object ID used in ref updates to create or delete a branch
+const ZERO_OBJECT_ID = '0000000000000000000000000000000000000000';
+
+// Shown as "ai-review/guidelines" in the PR's status checks
+const REVIEW_STATUS_CONTEXT = { genre: 'ai-review', name: 'guidelines' };
+
+// Bugs keep their description in the repro steps
+const WORK_ITEM_FIELDS = [
+    'System.WorkItemType',
+    'System.Title',
+    'System.State',
+    'System.Description',
+    'Microsoft.VSTS.TCM.ReproSteps',
+    'Microsoft.VSTS.Common.AcceptanceCriteria'
+];
+
+const { CommentThreadStatus } = GitInterfaces;
+const THREAD_STATUS_VALUES = {
+    [THREAD_STATUS.ACTIVE]: CommentThreadStatus.Active,
+    [THREAD_STATUS.PENDING]: CommentThreadStatus.Pending,
+    [THREAD_STATUS.FIXED]: CommentThreadStatus.Fixed,
+    [THREAD_STATUS.WONT_FIX]: CommentThreadStatus.WontFix,
+    [THREAD_STATUS.BY_DESIGN]: CommentThreadStatus.ByDesign,
+    [THREAD_STATUS.CLOSED]: CommentThreadStatus.Closed
+};
+
+/**
+ * Read the PR a service hook is about
+ * @param {Object} body - Webhook payload
+ * @returns {{event?: Object, response?: {status: number, message: string}}} - The webhook event, or the
+ *   response to send instead of queuing a job
+ */
+function parseWebhookEvent(body) {
+    // Check if this is a pull request event
+    const eventType = body.eventType;
+    if (!eventType) {
+        return { response: { status: 400, message: "Missing eventType in payload" } };
+    }
+
+    const isCommentEvent = COMMENT_EVENT_TYPES.includes(eventType);
+    if (!eventType.startsWith('git.pullrequest.') && !isCommentEvent) {
+        return { response: { status: 200, message: `Ignoring non-PR event: ${eventType}` } };
+    }
+
+    // Extract PR information from the webhook payload; comment events carry the PR next to the comment
+    const resource = isCommentEvent ? body.resource?.pullRequest : body.resource;
+    if (!resource || !resource.pullRequestId) {
+        return { response: { status: 400, message: "Missing PR information in payload" } };
+    }
+
+    const remoteUrl = resource.repository?.remoteUrl;
+    if (!remoteUrl) {
+        return { response: { status: 400, message: "Missing repository information in payload" } };
+    }
+
+    let location;
+    try {
+        location = parseRepositoryUrl(remoteUrl);
+    } catch (error) {
+        return { response: { status: 400, message: error.message } };
+    }
+
+    const comment = isCommentEvent ? body.resource.comment : null;
+    return {
+        event: {
+            location: {
+                ...location,
+                project: resource.repository?.project?.name || location.project,
+                repository: resource.repository?.name || location.repository
+            },
+            pullRequestId: resource.pullRequestId,
+            title: resource.title || '',
+            sourceCommitId: resource.lastMergeSourceCommit?.commitId,
+            ...(isCommentEvent && {
+                comment: {
+                    content: comment?.content,
+                    threadId: getCommentThreadId(comment),
+                    commentId: comment?.id
+                }
+            })
+        }
+    };
+}
+
+/**
+ * Work out how a file changed in the PR
+ * @param {Object} change - PR iteration change entry
+ * @returns {FileChange|null} - Path, original path and kind, or null for folders
+ */
+function classifyChange(change) {
+    const itemPath = change.item?.path || change.originalPath;
+    if (!itemPath || change.item?.isFolder) return null;
+
+    // changeType is a set of flags, e.g. a renamed and edited file is Rename | Edit
+    const changeType = change.changeType || 0;
+    const { Add, Delete, Rename } = GitInterfaces.VersionControlChangeType;
+
+    if (changeType & Delete) {
+        return { path: itemPath, originalPath: itemPath, kind: 'delete' };
+    }
+    if (changeType & Add) {
+        return { path: itemPath, originalPath: null, kind: 'add' };
+    }
+    if (changeType & Rename) {
+        return {
+            path: itemPath,
+            originalPath: change.originalPath || change.sourceServerItem || itemPath,
+            kind: 'rename'
+        };
+    }
+    return { path: itemPath, originalPath: itemPath, kind: 'edit' };
+}
+
+/**
+ * Convert an Azure DevOps comment thread
+ * @param {Object} thread - Comment thread
+ * @param {string} reviewerId - ID of the identity the PAT belongs to
+ * @returns {ReviewThread} - Thread
+ */
+function toReviewThread(thread, reviewerId) {
+    const status = Object.keys(THREAD_STATUS_VALUES).find(key => THREAD_STATUS_VALUES[key] === thread.status);
+    return {
+        id: thread.id,
+        status: status || THREAD_STATUS.ACTIVE,
+        filePath: thread.threadContext?.filePath,
+        startLine: thread.threadContext?.rightFileStart?.line,
+        endLine: thread.threadContext?.rightFileEnd?.line,
+        comments: (thread.comments || []).map(comment => ({
+            id: comment.id,
+            content: comment.content,
+            author: comment.author?.displayName,
+            authorId: comment.author?.id,
+            isDeleted: comment.isDeleted,
+            byReviewer: Boolean(reviewerId) && comment.author?.id === reviewerId
+        }))
+    };
+}
+
+/**
+ * Turn a rich text work item field into plain text
+ * @param {string} html - Field value as HTML
+ * @returns {string} - Text with paragraphs and list items on their own lines
+ */
+function htmlToText(html) {
+    return String(html || '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/(?:p|div|h[1-6]|tr)>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Convert a stream to string
+ * @param {Object} stream - Readable stream
+ * @returns {Promise<string>} - Stream content as string
+ */
+function streamToString(stream) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        stream.on('data', chunk => data += chunk);
+        stream.on('end', () => resolve(data));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Connect to Azure DevOps and look up the repository and pull request to work on
+ * @param {Object} config - Configuration with PAT, ORG, PROJECT, REPO_NAME and PR_ID
+ * @returns {Promise<{scm: ScmClient, pullRequest: PullRequestInfo}>} - Client for the PR, and the PR
+ */
+async function openPullRequest(config) {
+    const authHandler = azdev.getPersonalAccessTokenHandler(config.PAT);
+    const connection = new azdev.WebApi(`https://dev.azure.com/${config.ORG}`, authHandler);
+    const gitApi = await connection.getGitApi();
+    const project = config.PROJECT;
+
+    const repos = await gitApi.getRepositories(project);
+    const repo = repos.find(r => r.name === config.REPO_NAME);
+    if (!repo?.id) throw new Error("Repository not found");
+    const repoId = repo.id;
+
+    const targetPR = await gitApi.getPullRequest(repoId, config.PR_ID, project);
+    if (!targetPR?.pullRequestId || !targetPR.sourceRefName || !targetPR.targetRefName) {
+        throw new Error("PR not found or missing ref names");
+    }
+    const prId = targetPR.pullRequestId;
+    const webUrl = targetPR.repository?.webUrl;
+
+    const pullRequest = {
+        id: prId,
+        title: targetPR.title || '',
+        description: targetPR.description || '',
+        isDraft: Boolean(targetPR.isDraft),
+        sourceBranch: targetPR.sourceRefName.replace('refs/heads/', ''),
+        targetBranch: targetPR.targetRefName.replace('refs/heads/', ''),
+        url: webUrl ? `${webUrl}/pullrequest/${prId}` : undefined,
+        reference: `!${prId}`
+    };
+
+    const getFileContent = async (filePath, ref) => {
+        try {
+            const versionDescriptor = /^[0-9a-f]{40}$/i.test(ref)
+                ? { versionType: GitInterfaces.GitVersionType.Commit, version: ref }
+                : { versionType: GitInterfaces.GitVersionType.Branch, version: ref.replace("refs/heads/", "") };
+
+            const stream = await gitApi.getItemContent(repoId, filePath, project, undefined, undefined, undefined, undefined, undefined, versionDescriptor);
+            const content = await streamToString(stream);
+
+            // getItemContent resolves with the raw response even when the item doesn't exist
+            if (stream.statusCode >= 400) {
+                const error = new Error(`HTTP ${stream.statusCode}`);
+                error.statusCode = stream.statusCode;
+                error.headers = stream.headers;
+                throw error;
+            }
+            return content;
+        } catch (error) {
+            if (error.statusCode !== 404) {
+                console.error(`Error fetching ${filePath} from ${ref}:`, error instanceof Error ? error.message : error);
+            }
+            const wrapped = new Error(`Failed to retrieve content for ${filePath}: ${error.message || error}`);
+            wrapped.statusCode = error.statusCode;
+            wrapped.headers = error.headers || error.responseHeaders;
+            throw wrapped;
+        }
+    };
+
+    // Only comments the PAT's identity wrote are trusted to carry review state and finding markers
+    let reviewerId;
+    const getReviewerId = () => {
+        reviewerId = reviewerId || connection.connect().then(data => data.authenticatedUser?.id);
+        return reviewerId;
+    };
+
+    const getBranchHead = async branch => {
+        const refs = await gitApi.getRefs(repoId, project, `heads/${branch}`);
+        return (refs || []).find(ref => ref.name === `refs/heads/${branch}`)?.objectId || null;
+    };
+
+    const scm = {
+        getIterations: async () => {
+            const iterations = await gitApi.getPullRequestIterations(repoId, prId, project);
+            return iterations.map(iteration => ({ id: iteration.id, commitId: iteration.sourceRefCommit?.commitId }));
+        },
+
+        getChanges: async (latest, base) => {
+            const changes = await gitApi.getPullRequestIterationChanges(
+                repoId,
+                prId,
+                latest.id,
+                project,
+                undefined,
+                undefined,
+                base?.id
+            );
+            return (changes.changeEntries || []).map(classifyChange).filter(change => change);
+        },
+
+        getFileContent,
+
+        // Needs the Work Items (Read) scope on top of Code
+        getWorkItems: async () => {
+            const refs = await gitApi.getPullRequestWorkItemRefs(repoId, prId, project);
+            const ids = (refs || []).map(ref => Number(ref.id)).filter(Number.isInteger).slice(0, MAX_WORK_ITEMS);
+            if (ids.length === 0) return [];
+
+            const workItemApi = await connection.getWorkItemTrackingApi();
+            // Work items the PAT can't see are left out instead of failing the whole request
+            const workItems = await workItemApi.getWorkItems(ids, WORK_ITEM_FIELDS, undefined, undefined, WorkItemErrorPolicy.Omit);
+            return (workItems || []).filter(workItem => workItem?.fields).map(workItem => ({
+                id: workItem.id,
+                type: workItem.fields['System.WorkItemType'] || 'Work item',
+                title: workItem.fields['System.Title'] || '',
+                description: htmlToText(workItem.fields['System.Description'] || workItem.fields['Microsoft.VSTS.TCM.ReproSteps']),
+                acceptanceCriteria: htmlToText(workItem.fields['Microsoft.VSTS.Common.AcceptanceCriteria']),
+                state: workItem.fields['System.State'],
+                url: `https://dev.azure.com/${config.ORG}/${encodeURIComponent(project)}/_workitems/edit/${workItem.id}`
+            }));
+        },
+
+        getThreads: async () => {
+            const [threads, id] = await Promise.all([gitApi.getThreads(repoId, prId, project), getReviewerId()]);
+            return threads.map(thread => toReviewThread(thread, id));
+        },
+
+        getThread: async threadId => {
+            const [thread, id] = await Promise.all([
+                gitApi.getPullRequestThread(repoId, prId, threadId, project),
+                getReviewerId()
+            ]);
+            return thread ? toReviewThread(thread, id) : null;
+        },
+
+        createThread: async ({ content, status, filePath, startLine, endLine, endOffset }) => {
+            const thread = {
+                comments: [{
+                    content,
+                    parentCommentId: 0,
+                    commentType: GitInterfaces.CommentType.Text,
+                }],
+                status: THREAD_STATUS_VALUES[status || THREAD_STATUS.ACTIVE],
+                ...(filePath && {
+                    threadContext: {
+                        filePath,
+                        rightFileStart: { line: startLine, offset: 1 },
+                        rightFileEnd: { line: endLine, offset: endOffset || 1 }
+                    }
+                })
+            };
+            await gitApi.createThread(thread, repoId, prId, project);
+        },
+
+        // Without a parent the reply answers the thread's first comment
+        replyToThread: (threadId, content, parentCommentId = 1) => gitApi.createComment({
+            content,
+            parentCommentId,
+            commentType: GitInterfaces.CommentType.Text
+        }, repoId, prId, threadId, project),
+
+        updateComment: (threadId, commentId, content) =>
+            gitApi.updateComment({ content }, repoId, prId, threadId, commentId, project),
+
+        setThreadStatus: (threadId, status) =>
+            gitApi.updateThread({ status: THREAD_STATUS_VALUES[status] }, repoId, prId, threadId, project),
+
+        // Reviewers are added by the author or a branch policy, so being one stands in for a reviewer's permissions
+        canDismissFindings: async authorId => {
+            if (!authorId || authorId === targetPR.createdBy?.id) return false;
+            const reviewers = await gitApi.getPullRequestReviewers(repoId, prId, project);
+            return (reviewers || []).some(reviewer => reviewer.id === authorId);
+        },
+
+        postStatus: ({ state, description, iterationId }) => gitApi.createPullRequestStatus({
+            state: state === 'failed' ? GitInterfaces.GitStatusState.Failed : GitInterfaces.GitStatusState.Succeeded,
+            description,
+            context: REVIEW_STATUS_CONTEXT,
+            iterationId
+        }, repoId, prId, project),
+
+        getBranchHead,
+
+        findPullRequest: async sourceBranch => {
+            const pullRequests = await gitApi.getPullRequests(
+                repoId,
+                { sourceRefName: `refs/heads/${sourceBranch}`, status: GitInterfaces.PullRequestStatus.Active },
+                project
+            );
+            const found = pullRequests?.[0];
+            return found
+                ? { id: found.pullRequestId, description: found.description, reference: `!${found.pullRequestId}` }
+                : null;
+        },
+
+        commitFiles: async ({ branch, parentCommitId, oldCommitId, files, message }) => {
+            const push = {
+                refUpdates: [{
+                    name: `refs/heads/${branch}`,
+                    oldObjectId: oldCommitId || ZERO_OBJECT_ID
+                }],
+                commits: [{
+                    comment: message,
+                    changes: files.map(file => ({
+                        changeType: GitInterfaces.VersionControlChangeType.Edit,
+                        item: { path: file.path },
+                        newContent: {
+                            content: file.content,
+                            contentType: GitInterfaces.ItemContentType.RawText
+                        }
+                    })),
+                    parents: [parentCommitId]
+                }],
+                repository: { id: repoId }
+            };
+            await gitApi.createPush(push, repoId, project);
+        },
+
+        deleteBranch: (branch, commitId) => gitApi.updateRefs(
+            [{ name: `refs/heads/${branch}`, oldObjectId: commitId, newObjectId: ZERO_OBJECT_ID }],
+            repoId,
+            project
+        ),
+
+        createPullRequest: async ({ sourceBranch, targetBranch, title, description }) => {
+            const created = await gitApi.createPullRequest({
+                title,
+                description,
+                sourceRefName: `refs/heads/${sourceBranch}`,
+                targetRefName: `refs/heads/${targetBranch}`
+            }, repoId, project);
+            return { id: created.pullRequestId, url: created.url, reference: `!${created.pullRequestId}` };
+        },
+
+        updatePullRequest: (id, { description }) => gitApi.updatePullRequest({ description }, repoId, id, project),
+
+        abandonPullRequest: async (id, comment) => {
+            const thread = {
+                comments: [{
+                    content: comment,
+                    parentCommentId: 0,
+                    commentType: GitInterfaces.CommentType.Text,
+                }],
+                status: CommentThreadStatus.Closed
+            };
+            await gitApi.createThread(thread, repoId, id, project);
+            await gitApi.updatePullRequest({ status: GitInterfaces.PullRequestStatus.Abandoned }, repoId, id, project);
+        }
+    };
+
+    return { scm, pullRequest };
+}
+
+module.exports = {
+    parseWebhookEvent,
+    openPullRequest
+};
@@ -0,0 +1,420 @@
+const {
+    THREAD_STATUS,
+    REVIEW_STATUS_NAME,
+    MAX_WORK_ITEMS,
+    toRepositoryPath,
+    toRelativePath,
+    createHttpClient,
+    getAllPages
+} = require('./scm');
+
+const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+
+// Pull request actions that bring new code to review
+const REVIEW_ACTIONS = ['opened', 'reopened', 'synchronize', 'ready_for_review'];
+
+// Collaborator permissions that let someone review and merge a PR
+const WRITE_PERMISSIONS = ['admin', 'maintain', 'write'];
+
+// GitHub rejects longer status descriptions
+const MAX_STATUS_DESCRIPTION_LENGTH = 140;
+
+// Review threads and their resolved state are only available through GraphQL
+const REVIEW_THREADS_QUERY = `
+    query($owner: String!, $name: String!, $number: Int!, $cursor: String) {
+        repository(owner: $owner, name: $name) {
+            pullRequest(number: $number) {
+                reviewThreads(first: 100, after: $cursor) {
+                    pageInfo { hasNextPage endCursor }
+                    nodes {
+                        id
+                        isResolved
+                        path
+                        line
+                        originalLine
+                        startLine
+                        comments(first: 100) {
+                            nodes { databaseId body author { login } }
+                        }
+                    }
+                }
+            }
+        }
+    }`;
+
+// Login of the user or app the token belongs to
+const VIEWER_QUERY = 'query { viewer { login } }';
+
+// Issues the PR closes, from "Fixes #12" in its description or the Development sidebar
+const CLOSING_ISSUES_QUERY = `
+    query($owner: String!, $name: String!, $number: Int!, $first: Int!) {
+        repository(owner: $owner, name: $name) {
+            pullRequest(number: $number) {
+                closingIssuesReferences(first: $first) {
+                    nodes { number title body state url }
+                }
+            }
+        }
+    }`;
+
+/**
+ * Read the pull request a GitHub webhook is about
+ * @param {Object} body - Webhook payload
+ * @param {Object} headers - Request headers
+ * @returns {{event?: Object, response?: {status: number, message: string}}} - The webhook event, or the
+ *   response to send instead of queuing a job
+ */
+function parseWebhookEvent(body, headers) {
+    const eventType = headers['x-github-event'];
+    const isCommentEvent = eventType === 'pull_request_review_comment';
+    if (eventType !== 'pull_request' && !isCommentEvent) {
+        return { response: { status: 200, message: `Ignoring non-PR event: ${eventType}` } };
+    }
+
+    // Only new commits are worth a review, and only new comments can carry a command
+    const reviewable = isCommentEvent ? body.action === 'created' : REVIEW_ACTIONS.includes(body.action);
+    if (!reviewable) {
+        return { response: { status: 200, message: `Ignoring ${eventType} action: ${body.action}` } };
+    }
+
+    const pullRequest = body.pull_request;
+    if (!pullRequest?.number) {
+        return { response: { status: 400, message: "Missing PR information in payload" } };
+    }
+
+    const owner = body.repository?.owner?.login;
+    const name = body.repository?.name;
+    if (!owner || !name) {
+        return { response: { status: 400, message: "Missing repository information in payload" } };
+    }
+
+    return {
+        event: {
+            // GitHub has no projects, so allow-lists name repositories as "owner/repository"
+            location: { organization: owner, project: name, repository: name },
+            pullRequestId: pullRequest.number,
+            title: pullRequest.title || '',
+            sourceCommitId: pullRequest.head?.sha,
+            ...(isCommentEvent && {
+                comment: {
+                    content: body.comment?.body,
+                    // Replies point at the first comment of the thread, which identifies the thread
+                    threadId: body.comment?.in_reply_to_id || body.comment?.id,
+                    commentId: body.comment?.id
+                }
+            })
+        }
+    };
+}
+
+/**
+ * Convert a file from GitHub's PR files or compare API
+ * @param {Object} file - Changed file
+ * @returns {FileChange} - File change
+ */
+function toFileChange(file) {
+    const filePath = toRepositoryPath(file.filename);
+    switch (file.status) {
+        case 'added':
+        case 'copied':
+            return { path: filePath, originalPath: null, kind: 'add' };
+        case 'removed':
+            return { path: filePath, originalPath: filePath, kind: 'delete' };
+        case 'renamed':
+            return { path: filePath, originalPath: toRepositoryPath(file.previous_filename || file.filename), kind: 'rename' };
+        default:
+            return { path: filePath, originalPath: filePath, kind: 'edit' };
+    }
+}
+
+/**
+ * Encode each segment of a path or branch name for use in a URL
+ * @param {string} value - Path or branch name
+ * @returns {string} - Encoded value
+ */
+function encodePath(value) {
+    return toRelativePath(value).split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Connect to GitHub and look up the pull request to work on
+ *
+ * Findings are posted as review comments, and the summary as a PR conversation comment. Threads are
+ * identified by the ID of their first comment; the summary's thread ID is "issue-<comment ID>".
+ * @param {Object} config - Configuration with GITHUB_TOKEN, GITHUB_API_URL, ORG (the owner), REPO_NAME and PR_ID
+ * @returns {Promise<{scm: ScmClient, pullRequest: PullRequestInfo}>} - Client for the PR, and the PR
+ */
+async function openPullRequest(config) {
+    const apiUrl = (config.GITHUB_API_URL || DEFAULT_GITHUB_API_URL).replace(/\/+$/, '');
+    const client = createHttpClient(apiUrl, {
+        Authorization: `Bearer ${config.GITHUB_TOKEN}`,
+        Accept: 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28'
+    });
+    // GitHub Enterprise Server serves REST under /api/v3 and GraphQL under /api/graphql
+    const graphqlUrl = `${apiUrl.replace(/\/v3$/, '')}/graphql`;
+    const owner = config.ORG;
+    const name = config.REPO_NAME;
+    const repoPath = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`;
+    const number = Number(config.PR_ID);
+
+    const { data: pr } = await client.get(`${repoPath}/pulls/${number}`);
+    const isFork = pr.head?.repo?.full_name !== pr.base?.repo?.full_name;
+
+    const pullRequest = {
+        id: pr.number,
+        title: pr.title || '',
+        description: pr.body || '',
+        isDraft: Boolean(pr.draft),
+        // Branches of forks aren't in this repository, but GitHub keeps the PR's head under refs/pull
+        sourceBranch: isFork ? `pull/${pr.number}/head` : pr.head.ref,
+        targetBranch: pr.base.ref,
+        url: pr.html_url,
+        reference: `#${pr.number}`
+    };
+
+    const graphql = async (query, variables) => {
+        const { data } = await client.post(graphqlUrl, { query, variables });
+        if (data.errors?.length > 0) {
+            throw new Error(`GitHub GraphQL request failed: ${data.errors.map(error => error.message).join('; ')}`);
+        }
+        return data.data;
+    };
+
+    // Only comments the token's user wrote are trusted to carry review state and finding markers; REST
+    // reports apps as "name[bot]" where GraphQL has just the name
+    let reviewerLogin;
+    const getReviewerLogin = () => {
+        reviewerLogin = reviewerLogin || graphql(VIEWER_QUERY).then(data => data.viewer.login);
+        return reviewerLogin;
+    };
+    const isReviewer = (login, reviewer) => Boolean(login) && login.replace(/\[bot\]$/, '') === reviewer;
+
+    const getReviewThreads = async reviewer => {
+        const threads = [];
+        let cursor = null;
+        do {
+            const data = await graphql(REVIEW_THREADS_QUERY, { owner, name, number, cursor });
+            const page = data.repository.pullRequest.reviewThreads;
+            for (const thread of page.nodes) {
+                const comments = thread.comments.nodes;
+                if (comments.length === 0) continue;
+                const endLine = thread.line ?? thread.originalLine;
+                threads.push({
+                    id: comments[0].databaseId,
+                    nodeId: thread.id,
+                    status: thread.isResolved ? THREAD_STATUS.FIXED : THREAD_STATUS.ACTIVE,
+                    filePath: toRepositoryPath(thread.path),
+                    startLine: thread.startLine ?? endLine,
+                    endLine,
+                    comments: comments.map(comment => ({
+                        id: comment.databaseId,
+                        content: comment.body,
+                        author: comment.author?.login,
+                        authorId: comment.author?.login,
+                        byReviewer: isReviewer(comment.author?.login, reviewer)
+                    }))
+                });
+            }
+            cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+        } while (cursor);
+        return threads;
+    };
+
+    const getThreads = async () => {
+        const reviewer = await getReviewerLogin();
+        const [reviewThreads, issueComments] = await Promise.all([
+            getReviewThreads(reviewer),
+            getAllPages(client, `${repoPath}/issues/${number}/comments`)
+        ]);
+        // Conversation comments have no thread or state of their own
+        return [
+            ...reviewThreads,
+            ...issueComments.map(comment => ({
+                id: `issue-${comment.id}`,
+                status: THREAD_STATUS.CLOSED,
+                comments: [{
+                    id: comment.id,
+                    content: comment.body,
+                    author: comment.user?.login,
+                    authorId: comment.user?.login,
+                    byReviewer: isReviewer(comment.user?.login, reviewer)
+                }]
+            }))
+        ];
+    };
+
+    const getWorkItems = async () => {
+        const data = await graphql(CLOSING_ISSUES_QUERY, { owner, name, number, first: MAX_WORK_ITEMS });
+        return data.repository.pullRequest.closingIssuesReferences.nodes.map(issue => ({
+            id: issue.number,
+            type: 'Issue',
+            title: issue.title || '',
+            description: issue.body || '',
+            acceptanceCriteria: '',
+            state: issue.state?.toLowerCase(),
+            url: issue.url
+        }));
+    };
+
+    const isIssueThread = threadId => String(threadId).startsWith('issue-');
+
+    const getBranchHead = async branch => {
+        try {
+            const { data } = await client.get(`${repoPath}/git/ref/heads/${encodePath(branch)}`);
+            return data.object?.sha || null;
+        } catch (error) {
+            if (error.statusCode === 404) return null;
+            throw error;
+        }
+    };
+
+    const scm = {
+        // GitHub has no iterations, so each commit of the PR counts as one
+        getIterations: async () => {
+            const commits = await getAllPages(client, `${repoPath}/pulls/${number}/commits`);
+            return commits.map((commit, index) => ({ id: index + 1, commitId: commit.sha }));
+        },
+
+        getChanges: async (latest, base) => {
+            const files = base
+                ? (await client.get(`${repoPath}/compare/${base.commitId}...${latest.commitId}`)).data.files || []
+                : await getAllPages(client, `${repoPath}/pulls/${number}/files`);
+            return files.map(toFileChange);
+        },
+
+        getFileContent: async (filePath, ref) => {
+            try {
+                const { data } = await client.get(`${repoPath}/contents/${encodePath(filePath)}`, {
+                    params: { ref },
+                    headers: { Accept: 'application/vnd.github.raw+json' },
+                    // Keep JSON files as text
+                    responseType: 'text',
+                    transformResponse: [response => response]
+                });
+                return data;
+            } catch (error) {
+                const wrapped = new Error(`Failed to retrieve content for ${filePath}: ${error.message || error}`);
+                wrapped.statusCode = error.statusCode;
+                wrapped.headers = error.headers;
+                throw wrapped;
+            }
+        },
+
+        getWorkItems,
+
+        getThreads,
+
+        getThread: async threadId => (await getThreads()).find(thread => String(thread.id) === String(threadId)) || null,
+
+        createThread: async ({ content, filePath, startLine, endLine }) => {
+            if (!filePath) {
+                await client.post(`${repoPath}/issues/${number}/comments`, { body: content });
+                return;
+            }
+            await client.post(`${repoPath}/pulls/${number}/comments`, {
+                body: content,
+                commit_id: pr.head.sha,
+                path: toRelativePath(filePath),
+                line: endLine,
+                side: 'RIGHT',
+                ...(startLine < endLine && { start_line: startLine, start_side: 'RIGHT' })
+            });
+        },
+
+        replyToThread: (threadId, content) => isIssueThread(threadId)
+            ? client.post(`${repoPath}/issues/${number}/comments`, { body: content })
+            : client.post(`${repoPath}/pulls/${number}/comments/${threadId}/replies`, { body: content }),
+
+        updateComment: (threadId, commentId, content) => isIssueThread(threadId)
+            ? client.patch(`${repoPath}/issues/comments/${commentId}`, { body: content })
+            : client.patch(`${repoPath}/pulls/comments/${commentId}`, { body: content }),
+
+        // GitHub threads are only resolved or not, so every closing state resolves the thread
+        setThreadStatus: async (threadId, status) => {
+            if (isIssueThread(threadId)) return;
+            const thread = (await getReviewThreads()).find(entry => String(entry.id) === String(threadId));
+            if (!thread) throw new Error(`Review thread ${threadId} not found`);
+            const reopen = status === THREAD_STATUS.ACTIVE || status === THREAD_STATUS.PENDING;
+            const mutation = reopen ? 'unresolveReviewThread' : 'resolveReviewThread';
+            await graphql(`mutation($id: ID!) { ${mutation}(input: { threadId: $id }) { thread { id } } }`, { id: thread.nodeId });
+        },
+
+        canDismissFindings: async login => {
+            if (!login || login === pr.user?.login) return false;
+            try {
+                const { data } = await client.get(`${repoPath}/collaborators/${encodeURIComponent(login)}/permission`);
+                return WRITE_PERMISSIONS.includes(data.permission);
+            } catch (error) {
+                // Users who aren't collaborators have no permission to look up
+                if (error.statusCode === 404) return false;
+                throw error;
+            }
+        },
+
+        postStatus: ({ state, description, commitId }) =>
+            client.post(`${repoPath}/statuses/${commitId || pr.head.sha}`, {
+                state: state === 'failed' ? 'failure' : 'success',
+                description: description.length > MAX_STATUS_DESCRIPTION_LENGTH
+                    ? `${description.slice(0, MAX_STATUS_DESCRIPTION_LENGTH - 3)}...`
+                    : description,
+                context: REVIEW_STATUS_NAME
+            }),
+
+        getBranchHead,
+
+        findPullRequest: async sourceBranch => {
+            const { data } = await client.get(`${repoPath}/pulls`, { params: { state: 'open', head: `${owner}:${sourceBranch}` } });
+            const found = data[0];
+            return found
+                ? { id: found.number, description: found.body || '', url: found.html_url, reference: `#${found.number}` }
+                : null;
+        },
+
+        commitFiles: async ({ branch, parentCommitId, oldCommitId, files, message }) => {
+            const { data: parent } = await client.get(`${repoPath}/git/commits/${parentCommitId}`);
+            // Corrections only edit text files, which are committed as regular (not executable) files
+            const { data: tree } = await client.post(`${repoPath}/git/trees`, {
+                base_tree: parent.tree.sha,
+                tree: files.map(file => ({ path: toRelativePath(file.path), mode: '100644', type: 'blob', content: file.content }))
+            });
+            const { data: commit } = await client.post(`${repoPath}/git/commits`, {
+                message,
+                tree: tree.sha,
+                parents: [parentCommitId]
+            });
+
+            if (oldCommitId) {
+                await client.patch(`${repoPath}/git/refs/heads/${encodePath(branch)}`, { sha: commit.sha, force: false });
+            } else {
+                await client.post(`${repoPath}/git/refs`, { ref: `refs/heads/${branch}`, sha: commit.sha });
+            }
+        },
+
+        deleteBranch: branch => client.delete(`${repoPath}/git/refs/heads/${encodePath(branch)}`),
+
+        createPullRequest: async ({ sourceBranch, targetBranch, title, description }) => {
+            const { data } = await client.post(`${repoPath}/pulls`, {
+                title,
+                body: description,
+                head: sourceBranch,
+                base: targetBranch
+            });
+            return { id: data.number, url: data.html_url, reference: `#${data.number}` };
+        },
+
+        updatePullRequest: (id, { description }) => client.patch(`${repoPath}/pulls/${id}`, { body: description }),
+
+        abandonPullRequest: async (id, comment) => {
+            await client.post(`${repoPath}/issues/${id}/comments`, { body: comment });
+            await client.patch(`${repoPath}/pulls/${id}`, { state: 'closed' });
+        }
+    };
+
+    return { scm, pullRequest };
+}
+
+module.exports = {
+    parseWebhookEvent,
+    openPullRequest
+};
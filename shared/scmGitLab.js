@@ -0,0 +1,339 @@
+const {
+    THREAD_STATUS,
+    REVIEW_STATUS_NAME,
+    MAX_WORK_ITEMS,
+    toRepositoryPath,
+    toRelativePath,
+    createHttpClient,
+    getAllPages
+} = require('./scm');
+
+const DEFAULT_GITLAB_URL = 'https://gitlab.com';
+
+// Merge request actions that bring new code to review
+const REVIEW_ACTIONS = ['open', 'reopen', 'update'];
+
+// Lowest project access level that can push to and approve merge requests
+const DEVELOPER_ACCESS_LEVEL = 30;
+
+/**
+ * Split a GitLab project path into the parts used for configuration and allow-lists
+ * @param {string} pathWithNamespace - Project path, e.g. "group/subgroup/project"
+ * @returns {RepositoryLocation|null} - Top-level group as the organization, the namespace as the project
+ *   and the project name as the repository, or null if the path has no namespace
+ */
+function parseProjectPath(pathWithNamespace) {
+    const parts = String(pathWithNamespace || '').split('/').filter(part => part);
+    if (parts.length < 2) return null;
+    return {
+        organization: parts[0],
+        project: parts.slice(0, -1).join('/'),
+        repository: parts[parts.length - 1]
+    };
+}
+
+/**
+ * Read the merge request a GitLab webhook is about
+ * @param {Object} body - Webhook payload
+ * @returns {{event?: Object, response?: {status: number, message: string}}} - The webhook event, or the
+ *   response to send instead of queuing a job
+ */
+function parseWebhookEvent(body) {
+    const kind = body.object_kind;
+    const isCommentEvent = kind === 'note';
+    if (kind !== 'merge_request' && !isCommentEvent) {
+        return { response: { status: 200, message: `Ignoring non-PR event: ${kind}` } };
+    }
+
+    const attributes = body.object_attributes || {};
+    if (isCommentEvent && attributes.noteable_type !== 'MergeRequest') {
+        return { response: { status: 200, message: `Ignoring comment on ${attributes.noteable_type}` } };
+    }
+    if (!isCommentEvent && !REVIEW_ACTIONS.includes(attributes.action)) {
+        return { response: { status: 200, message: `Ignoring merge request action: ${attributes.action}` } };
+    }
+
+    const mergeRequest = isCommentEvent ? body.merge_request : attributes;
+    if (!mergeRequest?.iid) {
+        return { response: { status: 400, message: "Missing PR information in payload" } };
+    }
+
+    const location = parseProjectPath(body.project?.path_with_namespace);
+    if (!location) {
+        return { response: { status: 400, message: "Missing repository information in payload" } };
+    }
+
+    return {
+        event: {
+            location,
+            pullRequestId: mergeRequest.iid,
+            title: mergeRequest.title || '',
+            sourceCommitId: mergeRequest.last_commit?.id,
+            ...(isCommentEvent && {
+                comment: {
+                    content: attributes.note,
+                    threadId: attributes.discussion_id,
+                    commentId: attributes.id
+                }
+            })
+        }
+    };
+}
+
+/**
+ * Convert a diff from GitLab's merge request diffs or compare API
+ * @param {Object} diff - Changed file
+ * @returns {FileChange} - File change
+ */
+function toFileChange(diff) {
+    const filePath = toRepositoryPath(diff.new_path);
+    if (diff.deleted_file) return { path: toRepositoryPath(diff.old_path), originalPath: toRepositoryPath(diff.old_path), kind: 'delete' };
+    if (diff.new_file) return { path: filePath, originalPath: null, kind: 'add' };
+    if (diff.renamed_file) return { path: filePath, originalPath: toRepositoryPath(diff.old_path), kind: 'rename' };
+    return { path: filePath, originalPath: filePath, kind: 'edit' };
+}
+
+/**
+ * Convert a GitLab discussion
+ * @param {Object} discussion - Merge request discussion
+ * @param {number} reviewerId - ID of the user the token belongs to
+ * @returns {ReviewThread|null} - Thread, or null for discussions of system notes only
+ */
+function toReviewThread(discussion, reviewerId) {
+    const notes = (discussion.notes || []).filter(note => !note.system);
+    if (notes.length === 0) return null;
+
+    const first = notes[0];
+    const position = first.position;
+    let status = THREAD_STATUS.CLOSED;
+    if (first.resolvable) {
+        status = first.resolved ? THREAD_STATUS.FIXED : THREAD_STATUS.ACTIVE;
+    }
+    return {
+        id: discussion.id,
+        status,
+        filePath: position?.new_path ? toRepositoryPath(position.new_path) : undefined,
+        startLine: position?.line_range?.start?.new_line ?? position?.new_line,
+        endLine: position?.line_range?.end?.new_line ?? position?.new_line,
+        comments: notes.map(note => ({
+            id: note.id,
+            content: note.body,
+            author: note.author?.name,
+            authorId: note.author?.id,
+            byReviewer: reviewerId !== undefined && note.author?.id === reviewerId
+        }))
+    };
+}
+
+/**
+ * Connect to GitLab and look up the merge request to work on
+ *
+ * Findings are posted as diff discussions anchored to their first line, and the summary as a merge request note.
+ * @param {Object} config - Configuration with GITLAB_TOKEN, GITLAB_URL, PROJECT (the namespace), REPO_NAME and PR_ID
+ * @returns {Promise<{scm: ScmClient, pullRequest: PullRequestInfo}>} - Client for the merge request, and the merge request
+ */
+async function openPullRequest(config) {
+    const baseUrl = (config.GITLAB_URL || DEFAULT_GITLAB_URL).replace(/\/+$/, '');
+    const client = createHttpClient(`${baseUrl}/api/v4`, { 'PRIVATE-TOKEN': config.GITLAB_TOKEN });
+    const projectPath = `/projects/${encodeURIComponent(`${config.PROJECT}/${config.REPO_NAME}`)}`;
+    const iid = Number(config.PR_ID);
+    const mrPath = `${projectPath}/merge_requests/${iid}`;
+
+    const { data: mr } = await client.get(mrPath);
+    const diffRefs = mr.diff_refs || {};
+
+    const pullRequest = {
+        id: mr.iid,
+        title: mr.title || '',
+        description: mr.description || '',
+        isDraft: Boolean(mr.draft ?? mr.work_in_progress),
+        // Branches of forks aren't in this project, but the merge request's head commit is
+        sourceBranch: mr.source_project_id !== mr.target_project_id ? mr.sha : mr.source_branch,
+        targetBranch: mr.target_branch,
+        url: mr.web_url,
+        reference: `!${mr.iid}`
+    };
+
+    // Only notes the token's user wrote are trusted to carry review state and finding markers
+    let reviewerId;
+    const getReviewerId = () => {
+        reviewerId = reviewerId || client.get('/user').then(({ data }) => data.id);
+        return reviewerId;
+    };
+
+    const getThreads = async () => {
+        const [discussions, id] = await Promise.all([getAllPages(client, `${mrPath}/discussions`), getReviewerId()]);
+        return discussions.map(discussion => toReviewThread(discussion, id)).filter(thread => thread);
+    };
+
+    // Issues the merge request closes when it is merged, e.g. from "Closes #12" in its description
+    const getWorkItems = async () => {
+        const { data } = await client.get(`${mrPath}/closes_issues`, { params: { per_page: MAX_WORK_ITEMS } });
+        return data.slice(0, MAX_WORK_ITEMS).map(issue => ({
+            id: issue.iid,
+            type: 'Issue',
+            title: issue.title || '',
+            description: issue.description || '',
+            acceptanceCriteria: '',
+            state: issue.state,
+            url: issue.web_url
+        }));
+    };
+
+    const getBranchHead = async branch => {
+        try {
+            const { data } = await client.get(`${projectPath}/repository/branches/${encodeURIComponent(branch)}`);
+            return data.commit?.id || null;
+        } catch (error) {
+            if (error.statusCode === 404) return null;
+            throw error;
+        }
+    };
+
+    const scm = {
+        // Every push creates a merge request version; version IDs only grow
+        getIterations: async () => {
+            const versions = await getAllPages(client, `${mrPath}/versions`);
+            return versions.reverse().map(version => ({ id: version.id, commitId: version.head_commit_sha }));
+        },
+
+        getChanges: async (latest, base) => {
+            const diffs = base
+                ? (await client.get(`${projectPath}/repository/compare`, {
+                    params: { from: base.commitId, to: latest.commitId, straight: true }
+                })).data.diffs || []
+                : await getAllPages(client, `${mrPath}/diffs`);
+            return diffs.map(toFileChange);
+        },
+
+        getFileContent: async (filePath, ref) => {
+            try {
+                const { data } = await client.get(`${projectPath}/repository/files/${encodeURIComponent(toRelativePath(filePath))}/raw`, {
+                    params: { ref },
+                    // Keep JSON files as text
+                    responseType: 'text',
+                    transformResponse: [response => response]
+                });
+                return data;
+            } catch (error) {
+                const wrapped = new Error(`Failed to retrieve content for ${filePath}: ${error.message || error}`);
+                wrapped.statusCode = error.statusCode;
+                wrapped.headers = error.headers;
+                throw wrapped;
+            }
+        },
+
+        getWorkItems,
+
+        getThreads,
+
+        getThread: async threadId => {
+            try {
+                const { data } = await client.get(`${mrPath}/discussions/${threadId}`);
+                return toReviewThread(data, await getReviewerId());
+            } catch (error) {
+                if (error.statusCode === 404) return null;
+                throw error;
+            }
+        },
+
+        createThread: async ({ content, filePath, startLine, endLine }) => {
+            if (!filePath) {
+                await client.post(`${mrPath}/notes`, { body: content });
+                return;
+            }
+            // The discussion is anchored to the first line, so a multi-line suggestion reaches down from there
+            const body = endLine > startLine
+                ? content.replace('```suggestion\n', `\`\`\`suggestion:-0+${endLine - startLine}\n`)
+                : content;
+            await client.post(`${mrPath}/discussions`, {
+                body,
+                position: {
+                    position_type: 'text',
+                    base_sha: diffRefs.base_sha,
+                    start_sha: diffRefs.start_sha,
+                    head_sha: diffRefs.head_sha,
+                    old_path: toRelativePath(filePath),
+                    new_path: toRelativePath(filePath),
+                    new_line: startLine
+                }
+            });
+        },
+
+        replyToThread: (threadId, content) => client.post(`${mrPath}/discussions/${threadId}/notes`, { body: content }),
+
+        updateComment: (threadId, commentId, content) =>
+            client.put(`${mrPath}/discussions/${threadId}/notes/${commentId}`, { body: content }),
+
+        // GitLab discussions are only resolved or not, so every closing state resolves the discussion
+        setThreadStatus: (threadId, status) => client.put(`${mrPath}/discussions/${threadId}`, {
+            resolved: status !== THREAD_STATUS.ACTIVE && status !== THREAD_STATUS.PENDING
+        }),
+
+        canDismissFindings: async authorId => {
+            if (!authorId || authorId === mr.author?.id) return false;
+            try {
+                const { data } = await client.get(`${projectPath}/members/all/${authorId}`);
+                return data.access_level >= DEVELOPER_ACCESS_LEVEL;
+            } catch (error) {
+                // Users who aren't members have no access level to look up
+                if (error.statusCode === 404) return false;
+                throw error;
+            }
+        },
+
+        postStatus: ({ state, description, commitId }) =>
+            client.post(`${projectPath}/statuses/${commitId || mr.sha}`, {
+                state: state === 'failed' ? 'failed' : 'success',
+                name: REVIEW_STATUS_NAME,
+                description
+            }),
+
+        getBranchHead,
+
+        findPullRequest: async sourceBranch => {
+            const { data } = await client.get(`${projectPath}/merge_requests`, {
+                params: { state: 'opened', source_branch: sourceBranch }
+            });
+            const found = data[0];
+            return found
+                ? { id: found.iid, description: found.description || '', url: found.web_url, reference: `!${found.iid}` }
+                : null;
+        },
+
+        // GitLab creates the branch from start_sha when it doesn't exist yet
+        commitFiles: ({ branch, parentCommitId, oldCommitId, files, message }) => client.post(`${projectPath}/repository/commits`, {
+            branch,
+            commit_message: message,
+            ...(!oldCommitId && { start_sha: parentCommitId }),
+            actions: files.map(file => ({ action: 'update', file_path: toRelativePath(file.path), content: file.content }))
+        }),
+
+        deleteBranch: branch => client.delete(`${projectPath}/repository/branches/${encodeURIComponent(branch)}`),
+
+        createPullRequest: async ({ sourceBranch, targetBranch, title, description }) => {
+            const { data } = await client.post(`${projectPath}/merge_requests`, {
+                source_branch: sourceBranch,
+                target_branch: targetBranch,
+                title,
+                description,
+                remove_source_branch: true
+            });
+            return { id: data.iid, url: data.web_url, reference: `!${data.iid}` };
+        },
+
+        updatePullRequest: (id, { description }) => client.put(`${projectPath}/merge_requests/${id}`, { description }),
+
+        abandonPullRequest: async (id, comment) => {
+            await client.post(`${projectPath}/merge_requests/${id}/notes`, { body: comment });
+            await client.put(`${projectPath}/merge_requests/${id}`, { state_event: 'close' });
+        }
+    };
+
+    return { scm, pullRequest };
+}
+
+module.exports = {
+    parseWebhookEvent,
+    openPullRequest
+};
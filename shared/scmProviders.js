@@ -0,0 +1,103 @@
+const azureDevOps = require('./scmAzureDevOps');
+const gitHub = require('./scmGitHub');
+const gitLab = require('./scmGitLab');
+
+/**
+ * @typedef {Object} ScmProvider
+ * @property {string[]} required - Environment variables that must be set to use the provider
+ * @property {string[]} [settings] - Optional environment variables read by the provider
+ * @property {Function} parseWebhookEvent - Reads the PR, and any comment, from the provider's webhook payload
+ * @property {Function} openPullRequest - Connects to the provider and resolves with a client for one PR
+ */
+
+const PROVIDERS = {
+    azure: {
+        required: ['AZURE_PAT'],
+        ...azureDevOps
+    },
+    github: {
+        required: ['GITHUB_TOKEN'],
+        settings: ['GITHUB_API_URL'],
+        ...gitHub
+    },
+    gitlab: {
+        required: ['GITLAB_TOKEN'],
+        settings: ['GITLAB_URL'],
+        ...gitLab
+    }
+};
+
+const SCM_PROVIDERS = Object.keys(PROVIDERS);
+
+const SCM_SETTING_NAMES = [
+    ...new Set(Object.values(PROVIDERS).flatMap(provider => [...provider.required, ...(provider.settings || [])]))
+];
+
+/**
+ * Read the repository host settings from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Settings of every provider
+ */
+function readScmSettings(env) {
+    return Object.fromEntries(SCM_SETTING_NAMES.map(name => [name, env[name]]));
+}
+
+/**
+ * Work out which provider sent a webhook from its headers
+ * @param {Object} headers - Request headers
+ * @returns {string} - Provider name; Azure DevOps service hooks have no header of their own
+ */
+function detectProvider(headers) {
+    if (headers['x-github-event']) return 'github';
+    if (headers['x-gitlab-event']) return 'gitlab';
+    return 'azure';
+}
+
+/**
+ * Read the PR a webhook is about, whichever provider sent it
+ * @param {Object} req - HTTP request
+ * @returns {{event?: Object, response?: {status: number, message: string}}} - The webhook event with its
+ *   provider, or the response to send instead of queuing a job
+ */
+function parseWebhookEvent(req) {
+    const headers = req.headers || {};
+    const provider = detectProvider(headers);
+    const result = PROVIDERS[provider].parseWebhookEvent(req.body, headers);
+    return result.event ? { event: { ...result.event, provider } } : result;
+}
+
+/**
+ * Check the repository host configuration
+ * @param {Object} env - Environment variables
+ * @param {Object} config - Configuration object with SCM_PROVIDER
+ * @returns {string|null} - Error message, or null if the provider can be used
+ */
+function getScmConfigError(env, config) {
+    const provider = PROVIDERS[config.SCM_PROVIDER];
+    if (!provider) {
+        return `Invalid repository provider: ${config.SCM_PROVIDER}. Valid values: ${SCM_PROVIDERS.join(', ')}`;
+    }
+
+    const missingVars = provider.required.filter(varName => !env[varName]);
+    if (missingVars.length > 0) {
+        return `Missing required environment variables: ${missingVars.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Connect to the PR's provider and look up the pull request to work on
+ * @param {Object} config - Configuration object
+ * @returns {Promise<{scm: ScmClient, pullRequest: PullRequestInfo}>} - Client for the PR, and the PR
+ */
+function openPullRequest(config) {
+    return PROVIDERS[config.SCM_PROVIDER].openPullRequest(config);
+}
+
+module.exports = {
+    SCM_PROVIDERS,
+    readScmSettings,
+    parseWebhookEvent,
+    getScmConfigError,
+    openPullRequest
+};
@@ -0,0 +1,221 @@
+const { Linter } = require('eslint');
+const { builtinRules } = require('eslint/use-at-your-own-risk');
+const typescriptParser = require('@typescript-eslint/parser');
+const { normalizeCategory } = require('./findings');
+const { getFileLanguage, getPatternRules } = require('./guidelines');
+
+// ESLint rules for cheap, deterministic problems, with the severity and category of their findings
+const ESLINT_RULES = {
+    'no-unused-vars': { severity: 'minor', category: 'maintainability', options: [{ args: 'none', ignoreRestSiblings: true }] },
+    'no-console': { severity: 'minor', category: 'maintainability', options: [{ allow: ['warn', 'error'] }] },
+    'no-debugger': { severity: 'major', category: 'correctness' },
+    'no-warning-comments': { severity: 'nit', category: 'maintainability', options: [{ terms: ['todo', 'fixme'] }] },
+    'no-dupe-keys': { severity: 'major', category: 'correctness' },
+    'no-duplicate-case': { severity: 'major', category: 'correctness' },
+    'no-dupe-else-if': { severity: 'major', category: 'correctness' },
+    'no-unreachable': { severity: 'major', category: 'correctness' },
+    'no-self-assign': { severity: 'major', category: 'correctness' },
+    'no-cond-assign': { severity: 'major', category: 'correctness' },
+    'no-unsafe-finally': { severity: 'major', category: 'correctness' },
+    'use-isnan': { severity: 'major', category: 'correctness' },
+    'valid-typeof': { severity: 'major', category: 'correctness' },
+    'no-fallthrough': { severity: 'minor', category: 'correctness' },
+    'no-empty': { severity: 'minor', category: 'maintainability' }
+};
+
+const ESLINT_LANGUAGES = ['javascript', 'typescript'];
+// Flat config ignores a bare "**/*" unless another entry matches the file, so the extensions are spelled out
+const ESLINT_FILES = ['**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}'];
+const DEFAULT_PATTERN_SEVERITY = 'minor';
+
+let linter = null;
+
+/**
+ * @typedef {Object} StaticFinding
+ * @property {number} lineNumber - Line the finding is on
+ * @property {number} endLineNumber - Last line the finding applies to
+ * @property {string} comment - Finding text, naming the rule that found it
+ * @property {string} severity - One of blocker, major, minor, nit
+ * @property {string} category - Kind of issue, e.g. correctness
+ */
+
+/**
+ * Work out how ESLint should parse a file
+ * @param {string} filePath - Repository file path
+ * @param {string} content - File content
+ * @returns {Object} - ESLint language options
+ */
+function getLanguageOptions(filePath, content) {
+    const extension = filePath.split('.').pop().toLowerCase();
+    if (getFileLanguage(filePath) === 'typescript') {
+        return {
+            parser: typescriptParser,
+            sourceType: 'module',
+            parserOptions: { ecmaFeatures: { jsx: extension === 'tsx' } }
+        };
+    }
+
+    // Plain .js files can be either; CommonJS scoping makes unused top-level variables visible
+    const isModule = extension === 'mjs' ||
+        (extension !== 'cjs' && /^\s*(import|export)\s/m.test(content));
+    return {
+        ecmaVersion: 'latest',
+        sourceType: isModule ? 'module' : 'commonjs',
+        parserOptions: { ecmaFeatures: { jsx: true } }
+    };
+}
+
+/**
+ * Lint a JavaScript or TypeScript file with the built-in rules
+ *
+ * The repository's own ESLint configuration and plugins aren't loaded; the rules only need the file itself.
+ * @param {Object} file - File to analyze
+ * @param {string} file.filePath - Repository file path
+ * @param {string} file.content - File content
+ * @param {Object} [file.eslintRules] - Severity per rule, or "off", overriding or extending ESLINT_RULES;
+ *   rules that aren't core ESLint rules are ignored
+ * @returns {StaticFinding[]} - ESLint findings
+ */
+function lintFile({ filePath, content, eslintRules = {} }) {
+    if (!ESLINT_LANGUAGES.includes(getFileLanguage(filePath))) return [];
+
+    const rules = {};
+    const findingTypes = {};
+    for (const [ruleId, rule] of Object.entries(ESLINT_RULES)) {
+        rules[ruleId] = ['warn', ...(rule.options || [])];
+        findingTypes[ruleId] = rule;
+    }
+    for (const [ruleId, severity] of Object.entries(eslintRules)) {
+        // ESLint rejects the whole configuration over a rule it doesn't know, such as one from a plugin
+        if (!builtinRules.has(ruleId)) continue;
+        if (severity === 'off') {
+            delete rules[ruleId];
+            continue;
+        }
+        rules[ruleId] = rules[ruleId] || 'warn';
+        findingTypes[ruleId] = { category: 'maintainability', ...findingTypes[ruleId], severity };
+    }
+
+    linter = linter || new Linter();
+    const messages = linter.verify(content, [{
+        files: ESLINT_FILES,
+        languageOptions: getLanguageOptions(filePath, content),
+        linterOptions: { reportUnusedDisableDirectives: 'off' },
+        rules
+    }], { filename: filePath.replace(/^\//, '') });
+
+    const findings = [];
+    for (const message of messages) {
+        if (message.fatal) {
+            // Syntax ESLint can't parse, like Flow annotations, is left to the model
+            console.warn(`ESLint could not parse ${filePath}: ${message.message}`);
+            return [];
+        }
+        const findingType = findingTypes[message.ruleId];
+        if (!findingType) continue;
+        findings.push({
+            lineNumber: message.line,
+            endLineNumber: message.endLine || message.line,
+            comment: `${message.message} (ESLint \`${message.ruleId}\`)`,
+            severity: findingType.severity,
+            category: findingType.category
+        });
+    }
+    return findings;
+}
+
+/**
+ * Check added lines against the pattern checks of the guidelines
+ * @param {Object} file - File to analyze
+ * @param {string} file.filePath - Repository file path
+ * @param {string} file.content - File content
+ * @param {Set<number>} file.changedLines - Lines the change added or modified
+ * @param {GuidelineSet} file.guidelineSet - Loaded guidelines
+ * @returns {StaticFinding[]} - Findings citing the rule whose pattern matched
+ */
+function matchPatterns({ filePath, content, changedLines, guidelineSet }) {
+    const rules = getPatternRules(guidelineSet, filePath);
+    if (rules.length === 0) return [];
+
+    const lines = content.split(/\r?\n/);
+    const findings = [];
+    for (const lineNumber of changedLines) {
+        for (const rule of rules) {
+            if (!rule.pattern.test(lines[lineNumber - 1] ?? '')) continue;
+            findings.push({
+                lineNumber,
+                endLineNumber: lineNumber,
+                comment: `[${rule.id}] - ${rule.text}`,
+                severity: rule.severity || DEFAULT_PATTERN_SEVERITY,
+                // Sections named after a category, like "Security", keep it; others count as maintainability
+                category: normalizeCategory(rule.section)
+            });
+        }
+    }
+    return findings;
+}
+
+// Analyzers that run before the model, by the name STATIC_ANALYZERS and "staticAnalyzers" use
+const ANALYZERS = {
+    eslint: lintFile,
+    patterns: matchPatterns
+};
+
+const STATIC_ANALYZERS = Object.keys(ANALYZERS);
+
+/**
+ * Run the static analyzers over a changed file
+ *
+ * An analyzer that fails is logged and skipped, so the model review goes on without it.
+ * @param {string[]} analyzers - Names of the analyzers to run
+ * @param {Object} file - File to analyze, with filePath, content, changedLines, guidelineSet and eslintRules
+ * @returns {Promise<StaticFinding[]>} - Findings on the changed lines, in line order
+ */
+async function runStaticAnalysis(analyzers, file) {
+    const findings = [];
+    for (const name of analyzers) {
+        if (!ANALYZERS[name]) {
+            console.warn(`Unknown static analyzer ${name}. Valid values: ${STATIC_ANALYZERS.join(', ')}`);
+            continue;
+        }
+        try {
+            findings.push(...await ANALYZERS[name](file));
+        } catch (error) {
+            console.warn(`Static analyzer ${name} failed on ${file.filePath}: ${error.message || error}`);
+        }
+    }
+
+    // Like the model, analyzers only comment on lines the change added or modified
+    return findings
+        .filter(finding => file.changedLines.has(finding.lineNumber))
+        .sort((a, b) => a.lineNumber - b.lineNumber);
+}
+
+/**
+ * Check whether a model comment repeats a static finding
+ * @param {Object} comment - Model comment
+ * @param {StaticFinding[]} findings - Static findings for the same file
+ * @returns {boolean} - Whether a static finding covers the same line and category
+ */
+function isKnownIssue(comment, findings) {
+    return findings.some(finding => finding.category === comment.category &&
+        comment.lineNumber >= finding.lineNumber && comment.lineNumber <= finding.endLineNumber);
+}
+
+/**
+ * List static findings for the review prompt so the model doesn't report them again
+ * @param {StaticFinding[]} findings - Findings to list
+ * @returns {string} - Prompt section, empty when there are none
+ */
+function formatKnownIssues(findings) {
+    if (findings.length === 0) return '';
+    return 'ALREADY REPORTED by static analysis; don\'t comment on these again:\n' +
+        findings.map(finding => `- Line ${finding.lineNumber}: ${finding.comment}`).join('\n');
+}
+
+module.exports = {
+    STATIC_ANALYZERS,
+    runStaticAnalysis,
+    isKnownIssue,
+    formatKnownIssues
+};
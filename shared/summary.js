@@ -0,0 +1,161 @@
+const { SEVERITY_LEVELS } = require('./findings');
+const { formatCost } = require('./usage');
+
+/**
+ * @typedef {Object} ReviewSummary
+ * @property {number} iterationId - Latest reviewed iteration
+ * @property {number} [previousIterationId] - Iteration reviewed before this run, for incremental reviews
+ * @property {string} model - Model used for the review
+ * @property {Object} status - Review status with state, description and counts per severity
+ * @property {Object[]} files - Files with open findings or reviewed in this run, with counts per severity
+ * @property {Object[]} resolvedThreads - AI threads resolved in this run, with the file path and reason
+ * @property {Object|null} [correctionPR] - Outcome of creating the correction PR, if one was attempted
+ * @property {Object[]} skippedFiles - Files skipped in this run, with the reason
+ * @property {Object[]} failedFiles - Files that failed or were only partly analyzed in this run, with the error
+ * @property {Object} [usage] - Token usage and cost of this run and, as total, of all runs on the PR
+ * @property {number} [suppressedFindings] - Findings not posted because they match earlier dismissals
+ * @property {IntentCheck|null} [intentCheck] - Outcome of checking the changes against the PR description and
+ *   linked work items
+ */
+
+/**
+ * Escape text for use inside a markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} - Escaped text
+ */
+function escapeCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render the PR-level review summary as markdown
+ * @param {ReviewSummary} summary - Review outcome
+ * @returns {string} - Markdown content, starting with the [AI Review] tag
+ */
+function formatReviewSummary(summary) {
+    const lines = [];
+    const total = SEVERITY_LEVELS.reduce((sum, severity) => sum + summary.status.counts[severity], 0);
+
+    lines.push('[AI Review] **Review summary**');
+    lines.push('');
+
+    if (summary.status.state === 'failed') {
+        lines.push(`**Changes requested:** ${summary.status.description}.`);
+    } else if (total > 0) {
+        lines.push(`**No blocking issues**, but ${total} open finding(s) are worth a look.`);
+    } else {
+        lines.push('**Looks good:** no open findings.');
+    }
+    lines.push('');
+
+    const scope = summary.previousIterationId
+        ? `changes from iteration ${summary.previousIterationId} to ${summary.iterationId}`
+        : `all changes up to iteration ${summary.iterationId}`;
+    lines.push(`Last run reviewed ${scope} using \`${summary.model}\`.`);
+    if (summary.resolvedThreads.length > 0) {
+        lines.push(`It resolved ${summary.resolvedThreads.length} earlier finding(s) whose code was fixed or deleted.`);
+    }
+    if (summary.suppressedFindings > 0) {
+        lines.push(`${summary.suppressedFindings} finding(s) were not posted because they match findings ` +
+            'dismissed earlier as won\'t fix or by design.');
+    }
+    if (summary.usage) {
+        const { run, total } = summary.usage;
+        lines.push(`It used ${run.promptTokens + run.completionTokens} tokens ` +
+            `(${run.promptTokens} prompt, ${run.completionTokens} completion) for an estimated ` +
+            `${formatCost(run.cost)}${run.estimated ? ' (token counts partly estimated)' : ''}; ` +
+            `reviews of this PR have cost ${formatCost(total.cost)} so far.`);
+    }
+
+    if (summary.files.length > 0) {
+        lines.push('');
+        lines.push('### Open findings by file');
+        lines.push('');
+        lines.push(`| File | ${SEVERITY_LEVELS.map(severity => severity.charAt(0).toUpperCase() + severity.slice(1)).join(' | ')} |`);
+        lines.push(`|---|${SEVERITY_LEVELS.map(() => '---:').join('|')}|`);
+        for (const file of summary.files) {
+            const counts = SEVERITY_LEVELS.map(severity => file.counts[severity] || 0);
+            lines.push(`| \`${escapeCell(file.path)}\` | ${counts.join(' | ')} |`);
+        }
+    }
+
+    const intentCheck = summary.intentCheck;
+    if (intentCheck) {
+        lines.push('');
+        lines.push('### Purpose of the change');
+        lines.push('');
+        if (intentCheck.description?.matches === false) {
+            lines.push(`**Description:** ${intentCheck.description.explanation}`);
+        } else if (intentCheck.description) {
+            lines.push('The PR description matches the changes.');
+        }
+        if (intentCheck.error) {
+            lines.push(`The changes were not checked against the PR description and work items: ${intentCheck.error}.`);
+        }
+        if (intentCheck.criteria.length > 0) {
+            const missed = intentCheck.criteria.filter(criterion => criterion.status !== 'addressed').length;
+            lines.push(missed > 0
+                ? `${missed} of ${intentCheck.criteria.length} acceptance criteria don't look addressed by the changes.`
+                : `All ${intentCheck.criteria.length} acceptance criteria look addressed by the changes.`);
+            lines.push('');
+            lines.push('| Work item | Criterion | Status | Why |');
+            lines.push('|---|---|---|---|');
+            for (const criterion of intentCheck.criteria) {
+                const workItem = criterion.workItem === null
+                    ? ''
+                    : criterion.url ? `[#${escapeCell(criterion.workItem)}](${criterion.url})` : `#${escapeCell(criterion.workItem)}`;
+                lines.push(`| ${workItem} | ${escapeCell(criterion.criterion)} | ${criterion.status} | ` +
+                    `${escapeCell(criterion.explanation)} |`);
+            }
+        }
+    }
+
+    const correctionPR = summary.correctionPR;
+    if (correctionPR) {
+        lines.push('');
+        lines.push('### Suggested fixes');
+        lines.push('');
+        if (correctionPR.status === 'created' || correctionPR.status === 'updated') {
+            lines.push(`Correction PR ${correctionPR.reference} was ${correctionPR.status}.`);
+        } else if (correctionPR.status === 'planned') {
+            lines.push(`Dry run: a correction PR with ${correctionPR.files} file(s) would be created.`);
+        } else if (correctionPR.status === 'failed') {
+            lines.push(`The correction PR could not be created: ${correctionPR.error}`);
+        } else if (correctionPR.reason) {
+            lines.push(`No correction PR was created because ${correctionPR.reason}.`);
+        } else {
+            lines.push('No correction PR was created because none of the suggested changes passed validation.');
+        }
+        for (const file of correctionPR.rejected) {
+            lines.push(`- Left out \`${file.path}\`: ${file.reason}`);
+        }
+    }
+
+    if (summary.failedFiles.length > 0) {
+        lines.push('');
+        lines.push('### Not fully reviewed');
+        lines.push('');
+        lines.push('| File | Error |');
+        lines.push('|---|---|');
+        for (const file of summary.failedFiles) {
+            lines.push(`| \`${escapeCell(file.path)}\` | ${escapeCell(file.error)} |`);
+        }
+    }
+
+    if (summary.skippedFiles.length > 0) {
+        lines.push('');
+        lines.push('### Skipped');
+        lines.push('');
+        lines.push('| File | Reason |');
+        lines.push('|---|---|');
+        for (const file of summary.skippedFiles) {
+            lines.push(`| \`${escapeCell(file.path)}\` | ${escapeCell(file.reason)} |`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    formatReviewSummary
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { odata } = require('@azure/data-tables');
+const { fingerprint, similarity } = require('./findings');
+const { findCitedGuidelines } = require('./guidelines');
+const { isPathIncluded } = require('./reviewConfig');
+const { getTableClient, toTableKey } = require('./tableStorage');
+
+const SUPPRESSION_TABLE_NAME = 'PRReviewSuppressions';
+const DEFAULT_SUPPRESSIONS_FILE = 'suppressions.json';
+const SUPPRESSION_STORES = ['table', 'file', 'none'];
+// Dismissed findings are matched more strictly than duplicates on one PR, since they hide findings everywhere
+const SUPPRESSION_SIMILARITY_THRESHOLD = 0.6;
+const MAX_SAMPLE_LENGTH = 300;
+
+/**
+ * @typedef {Object} Suppression
+ * @property {string} id - Stable ID derived from the fields below, so dismissing the same finding twice is one suppression
+ * @property {string} pathPattern - Files the suppression applies to: the dismissed file's directory and extension
+ * @property {string} guidelineId - Guideline the dismissed finding cited, or an empty string
+ * @property {string} category - Category of the dismissed finding
+ * @property {string} fingerprint - Significant words of the dismissed comment, space separated
+ * @property {string} comment - The dismissed comment, shortened, for people listing suppressions
+ * @property {string} reason - "wontFix" or "byDesign"
+ * @property {number} pullRequestId - PR the finding was dismissed on
+ * @property {number} threadId - Thread that was dismissed
+ * @property {string} createdAt - When the suppression was recorded, as an ISO date
+ */
+
+/**
+ * @typedef {Object} SuppressionStore
+ * @property {Function} list - list(repositoryKey) resolves with the repository's suppressions
+ * @property {Function} save - save(repositoryKey, suppression) adds or replaces a suppression
+ * @property {Function} remove - remove(repositoryKey, id) resolves with whether the suppression existed
+ * @property {Function} clear - clear(repositoryKey) removes every suppression and resolves with how many there were
+ */
+
+/**
+ * Key that groups suppressions and spend by repository
+ *
+ * The provider is part of the key, so repositories with the same names on different hosts stay apart.
+ * @param {string} provider - Repository host, one of SCM_PROVIDERS
+ * @param {string} organization - Organization, GitHub owner or GitLab top-level group
+ * @param {string} project - Project name
+ * @param {string} repository - Repository name
+ * @returns {string} - Repository key
+ */
+function getRepositoryKey(provider, organization, project, repository) {
+    return [provider, organization, project, repository].join('|').toLowerCase();
+}
+
+/**
+ * Generalize a file path to the files a dismissal should cover
+ * @param {string} filePath - Repository file path, e.g. "/src/api/users.js"
+ * @returns {string} - Glob for the same directory and extension, e.g. "src/api/*.js"
+ */
+function getPathPattern(filePath) {
+    const relativePath = filePath.replace(/^\/+/, '');
+    const directory = path.posix.dirname(relativePath);
+    const extension = path.posix.extname(relativePath);
+    return `${directory === '.' ? '' : `${directory}/`}*${extension}`;
+}
+
+/**
+ * Describe a dismissed AI finding as a suppression
+ * @param {Object} finding - Dismissed finding with filePath, category, text and threadId
+ * @param {string} reason - "wontFix" or "byDesign"
+ * @param {number} pullRequestId - PR the finding was dismissed on
+ * @returns {Suppression} - Suppression
+ */
+function createSuppression(finding, reason, pullRequestId) {
+    const pathPattern = getPathPattern(finding.filePath);
+    const guidelineId = findCitedGuidelines(finding.text)[0] || '';
+    const words = [...fingerprint(finding.text)].sort().join(' ');
+    const comment = finding.text
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/```suggestion[\s\S]*?```/g, '')
+        .trim();
+    const id = crypto.createHash('sha1')
+        .update([pathPattern, guidelineId.toLowerCase(), finding.category, words].join('|'))
+        .digest('hex')
+        .slice(0, 16);
+
+    return {
+        id,
+        pathPattern,
+        guidelineId,
+        category: finding.category,
+        fingerprint: words,
+        comment: comment.length > MAX_SAMPLE_LENGTH ? `${comment.slice(0, MAX_SAMPLE_LENGTH)}...` : comment,
+        reason,
+        pullRequestId,
+        threadId: finding.threadId,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Find the suppression that covers a new finding, if any
+ * @param {Suppression[]} suppressions - Repository's suppressions
+ * @param {Object} finding - Finding with comment and category
+ * @param {string} filePath - File the finding is on
+ * @returns {Suppression|null} - Matching suppression
+ */
+function findSuppression(suppressions, finding, filePath) {
+    const words = fingerprint(finding.comment);
+    const guidelineId = (findCitedGuidelines(finding.comment)[0] || '').toLowerCase();
+
+    return suppressions.find(suppression =>
+        suppression.category === finding.category &&
+        suppression.guidelineId.toLowerCase() === guidelineId &&
+        isPathIncluded(filePath, [suppression.pathPattern], []) &&
+        similarity(words, new Set(suppression.fingerprint.split(' '))) >= SUPPRESSION_SIMILARITY_THRESHOLD
+    ) || null;
+}
+
+/**
+ * Create a store that keeps suppressions in a JSON file, for local development
+ * @param {string} filePath - JSON file, created on first write
+ * @returns {SuppressionStore} - Suppression store
+ */
+function createFileSuppressionStore(filePath) {
+    // Writes are chained so concurrent reviews in one process don't overwrite each other
+    let pending = Promise.resolve();
+
+    const read = async () => {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw new Error(`Failed to read suppressions from ${filePath}: ${error.message}`);
+        }
+    };
+
+    const update = change => {
+        const result = pending.then(async () => {
+            const data = await read();
+            const outcome = change(data);
+            const tempPath = `${filePath}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+            await fs.rename(tempPath, filePath);
+            return outcome;
+        });
+        pending = result.catch(() => {});
+        return result;
+    };
+
+    return {
+        list: async repositoryKey => (await read())[repositoryKey] || [],
+        save: (repositoryKey, suppression) => update(data => {
+            const existing = (data[repositoryKey] || []).filter(entry => entry.id !== suppression.id);
+            data[repositoryKey] = [...existing, suppression];
+        }),
+        remove: (repositoryKey, id) => update(data => {
+            const existing = data[repositoryKey] || [];
+            data[repositoryKey] = existing.filter(entry => entry.id !== id);
+            return data[repositoryKey].length !== existing.length;
+        }),
+        clear: repositoryKey => update(data => {
+            const count = (data[repositoryKey] || []).length;
+            delete data[repositoryKey];
+            return count;
+        })
+    };
+}
+
+/**
+ * Create a store that keeps suppressions in the function's storage account (or Azurite)
+ * @param {string} connectionString - Storage connection string, usually AzureWebJobsStorage
+ * @returns {SuppressionStore} - Suppression store
+ */
+function createTableSuppressionStore(connectionString) {
+    const getTable = () => getTableClient(connectionString, SUPPRESSION_TABLE_NAME);
+
+    const list = async repositoryKey => {
+        const table = await getTable();
+        const suppressions = [];
+        const entities = table.listEntities({
+            queryOptions: { filter: odata`PartitionKey eq ${toTableKey(repositoryKey)}` }
+        });
+        for await (const entity of entities) {
+            const { partitionKey, rowKey, etag, timestamp, ...suppression } = entity;
+            suppressions.push({ ...suppression, id: rowKey });
+        }
+        return suppressions;
+    };
+
+    const remove = async (repositoryKey, id) => {
+        const table = await getTable();
+        try {
+            await table.deleteEntity(toTableKey(repositoryKey), id);
+            return true;
+        } catch (error) {
+            if (error.statusCode === 404) return false;
+            throw error;
+        }
+    };
+
+    return {
+        list,
+        save: async (repositoryKey, suppression) => {
+            const table = await getTable();
+            const { id, ...fields } = suppression;
+            await table.upsertEntity({ partitionKey: toTableKey(repositoryKey), rowKey: id, ...fields }, 'Replace');
+        },
+        remove,
+        clear: async repositoryKey => {
+            const suppressions = await list(repositoryKey);
+            for (const suppression of suppressions) {
+                await remove(repositoryKey, suppression.id);
+            }
+            return suppressions.length;
+        }
+    };
+}
+
+/**
+ * Create the suppression store selected by SUPPRESSION_STORE
+ * @param {Object} config - Configuration with SUPPRESSION_STORE, SUPPRESSIONS_FILE and STORAGE_CONNECTION_STRING
+ * @returns {SuppressionStore|null} - Suppression store, or null if suppressions are turned off
+ */
+function getSuppressionStore(config) {
+    switch (config.SUPPRESSION_STORE) {
+        case 'table':
+            return createTableSuppressionStore(config.STORAGE_CONNECTION_STRING);
+        case 'file':
+            return createFileSuppressionStore(path.resolve(config.SUPPRESSIONS_FILE || DEFAULT_SUPPRESSIONS_FILE));
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    SUPPRESSION_STORES,
+    getRepositoryKey,
+    createSuppression,
+    findSuppression,
+    getSuppressionStore
+};
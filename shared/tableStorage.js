@@ -0,0 +1,40 @@
+const { TableClient } = require('@azure/data-tables');
+
+const tablePromises = new Map();
+
+/**
+ * Get a table in the function's storage account, creating it on first use
+ * @param {string} connectionString - Storage connection string, usually AzureWebJobsStorage
+ * @param {string} tableName - Table name
+ * @returns {Promise<TableClient>} - Table client
+ */
+function getTableClient(connectionString, tableName) {
+    if (!connectionString) {
+        return Promise.reject(new Error('AzureWebJobsStorage is not configured'));
+    }
+
+    if (!tablePromises.has(tableName)) {
+        // Azurite is served over plain HTTP
+        const allowInsecureConnection = /UseDevelopmentStorage=true|https?:\/\/(127\.0\.0\.1|localhost)/i.test(connectionString);
+        const table = TableClient.fromConnectionString(connectionString, tableName, { allowInsecureConnection });
+        const tablePromise = table.createTable().then(() => table);
+        tablePromise.catch(() => tablePromises.delete(tableName));
+        tablePromises.set(tableName, tablePromise);
+    }
+    return tablePromises.get(tableName);
+}
+
+/**
+ * Turn a value into a valid table key
+ * @param {string} value - Value, e.g. an organization, project and repository joined together
+ * @returns {string} - Key without the characters table keys may not contain
+ */
+function toTableKey(value) {
+    // Table keys may not contain slashes, backslashes, # or ?
+    return value.toLowerCase().replace(/[\\/#?]/g, '_');
+}
+
+module.exports = {
+    getTableClient,
+    toTableKey
+};
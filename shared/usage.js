@@ -0,0 +1,269 @@
+const { estimateTokens } = require('./diff');
+const { getTableClient, toTableKey } = require('./tableStorage');
+
+// USD per million tokens, matched against the start of the model name; MODEL_PRICES overrides or extends it
+const DEFAULT_MODEL_PRICES = {
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 }
+};
+
+const USAGE_TABLE_NAME = 'PRReviewUsage';
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/**
+ * @typedef {Object} UsageTotals
+ * @property {number} calls - Model requests that returned a response
+ * @property {number} promptTokens - Prompt tokens
+ * @property {number} completionTokens - Completion tokens
+ * @property {number} cost - Estimated cost in USD
+ * @property {boolean} estimated - Whether some token counts were estimated because the provider didn't report them
+ * @property {string[]} unpricedModels - Models without a price, counted as free
+ */
+
+/**
+ * Build the price table from the defaults and the MODEL_PRICES setting
+ * @param {string} [value] - JSON object of model name to { input, output } prices per million tokens
+ * @returns {Object} - Price table
+ */
+function parseModelPrices(value) {
+    if (!value) return { ...DEFAULT_MODEL_PRICES };
+
+    let prices;
+    try {
+        prices = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`Invalid MODEL_PRICES: ${error.message}`);
+    }
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+        throw new Error('Invalid MODEL_PRICES: expected an object of model name to { "input": <USD>, "output": <USD> }');
+    }
+    for (const [model, price] of Object.entries(prices)) {
+        if (typeof price?.input !== 'number' || typeof price?.output !== 'number') {
+            throw new Error(`Invalid MODEL_PRICES entry for ${model}: expected { "input": <USD>, "output": <USD> } per million tokens`);
+        }
+    }
+    return { ...DEFAULT_MODEL_PRICES, ...prices };
+}
+
+/**
+ * Find the price of a model, preferring the longest matching name so "gpt-4o" isn't billed as "gpt-4"
+ * @param {Object} prices - Price table
+ * @param {string} modelName - Model name as reported by the provider or configured
+ * @returns {{input: number, output: number}|null} - Prices per million tokens, or null if the model is unknown
+ */
+function findModelPrice(prices, modelName) {
+    const name = String(modelName || '').toLowerCase();
+    const match = Object.keys(prices)
+        .filter(key => name.startsWith(key.toLowerCase()))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? prices[match] : null;
+}
+
+/**
+ * Read token usage from a LangChain chat model response
+ * @param {Object} message - AI message
+ * @returns {{promptTokens: number, completionTokens: number}|null} - Token usage, or null if the provider didn't report it
+ */
+function getMessageUsage(message) {
+    const usage = message?.usage_metadata;
+    if (usage) {
+        return { promptTokens: usage.input_tokens || 0, completionTokens: usage.output_tokens || 0 };
+    }
+
+    const tokenUsage = message?.response_metadata?.tokenUsage;
+    if (tokenUsage) {
+        return { promptTokens: tokenUsage.promptTokens || 0, completionTokens: tokenUsage.completionTokens || 0 };
+    }
+    return null;
+}
+
+/**
+ * Create a tracker that adds up token usage and cost across model requests
+ * @param {Object} prices - Price table
+ * @returns {{record: Function, totals: Function}} - Tracker; record(modelLabel, message, estimatedPromptTokens)
+ *   adds a response, totals() returns the UsageTotals so far
+ */
+function createUsageTracker(prices) {
+    const totals = {
+        calls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        cost: 0,
+        estimated: false,
+        unpricedModels: []
+    };
+
+    /**
+     * Add a model response to the totals
+     * @param {string} modelLabel - Provider and model, e.g. "openai/gpt-4"
+     * @param {Object} message - AI message
+     * @param {number} estimatedPromptTokens - Prompt size to count if the provider didn't report usage
+     * @returns {{promptTokens: number, completionTokens: number, cost: number}} - Usage of this response
+     */
+    function record(modelLabel, message, estimatedPromptTokens) {
+        let usage = getMessageUsage(message);
+        if (!usage) {
+            const text = typeof message?.content === 'string' ? message.content : JSON.stringify(message?.content ?? '');
+            usage = { promptTokens: estimatedPromptTokens, completionTokens: estimateTokens(text) };
+            totals.estimated = true;
+        }
+
+        // Providers report the exact model version, e.g. gpt-4o-2024-08-06; the label has the configured name
+        const reportedModel = message?.response_metadata?.model_name;
+        const configuredModel = modelLabel ? modelLabel.slice(modelLabel.indexOf('/') + 1) : undefined;
+        const price = findModelPrice(prices, reportedModel) || findModelPrice(prices, configuredModel);
+        const label = modelLabel || reportedModel || 'unknown model';
+        if (!price && !totals.unpricedModels.includes(label)) {
+            console.warn(`No price configured for ${label}; counting its cost as 0`);
+            totals.unpricedModels.push(label);
+        }
+        const cost = price
+            ? (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6
+            : 0;
+
+        totals.calls++;
+        totals.promptTokens += usage.promptTokens;
+        totals.completionTokens += usage.completionTokens;
+        totals.cost += cost;
+        return { ...usage, cost };
+    }
+
+    return {
+        record,
+        totals: () => ({ ...totals, unpricedModels: [...totals.unpricedModels] })
+    };
+}
+
+/**
+ * Format a cost in USD
+ * @param {number} cost - Cost in USD
+ * @returns {string} - Formatted cost
+ */
+function formatCost(cost) {
+    return `$${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Create a budget check for a review
+ * @param {Object} limits - Budget limits and what was spent before this review started
+ * @param {number} [limits.maxCostPerPR] - Maximum cost of all reviews of the PR, in USD
+ * @param {number} [limits.maxCostPerDay] - Maximum cost of all reviews in the repository per day, in USD
+ * @param {number} [limits.spentOnPR] - Cost of earlier reviews of the PR
+ * @param {number} [limits.spentToday] - Cost of reviews in the repository today, before this one
+ * @returns {{getExceededReason: Function}} - Budget; getExceededReason(runCost) returns why no more files
+ *   should be reviewed, or null while there is budget left
+ */
+function createBudget(limits) {
+    const spentOnPR = limits.spentOnPR || 0;
+    const spentToday = limits.spentToday || 0;
+
+    return {
+        getExceededReason(runCost) {
+            if (limits.maxCostPerPR !== undefined && spentOnPR + runCost >= limits.maxCostPerPR) {
+                return `review budget exceeded (${formatCost(spentOnPR + runCost)} of ${formatCost(limits.maxCostPerPR)} per PR)`;
+            }
+            if (limits.maxCostPerDay !== undefined && spentToday + runCost >= limits.maxCostPerDay) {
+                return `review budget exceeded (${formatCost(spentToday + runCost)} of ${formatCost(limits.maxCostPerDay)} per day)`;
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Get the table that tracks daily spend per repository, creating it on first use
+ * @param {string} connectionString - Storage connection string, usually AzureWebJobsStorage
+ * @returns {Promise<TableClient>} - Table client
+ */
+function getUsageTable(connectionString) {
+    return getTableClient(connectionString, USAGE_TABLE_NAME);
+}
+
+/**
+ * Table keys for a repository's usage on a day
+ * @param {string} repositoryKey - Organization, project and repository
+ * @param {Date} date - Day
+ * @returns {{partitionKey: string, rowKey: string}} - Table keys
+ */
+function getUsageKeys(repositoryKey, date) {
+    return {
+        partitionKey: toTableKey(repositoryKey),
+        rowKey: date.toISOString().slice(0, 10)
+    };
+}
+
+/**
+ * Read what reviews in a repository have cost today
+ * @param {TableClient} table - Usage table
+ * @param {string} repositoryKey - Organization, project and repository
+ * @param {Date} [date] - Day, in UTC
+ * @returns {Promise<number>} - Cost in USD
+ */
+async function getDailySpend(table, repositoryKey, date = new Date()) {
+    const { partitionKey, rowKey } = getUsageKeys(repositoryKey, date);
+    try {
+        const entity = await table.getEntity(partitionKey, rowKey);
+        return entity.cost || 0;
+    } catch (error) {
+        if (error.statusCode === 404) return 0;
+        throw error;
+    }
+}
+
+/**
+ * Add a review's usage to the repository's total for the day
+ * @param {TableClient} table - Usage table
+ * @param {string} repositoryKey - Organization, project and repository
+ * @param {UsageTotals} usage - Usage of the review
+ * @param {Date} [date] - Day, in UTC
+ */
+async function addDailySpend(table, repositoryKey, usage, date = new Date()) {
+    const keys = getUsageKeys(repositoryKey, date);
+
+    // Reviews of other PRs may update the same day concurrently, so retry on conflicts
+    for (let attempt = 1; ; attempt++) {
+        let existing = null;
+        try {
+            existing = await table.getEntity(keys.partitionKey, keys.rowKey);
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+        }
+
+        const entity = {
+            ...keys,
+            reviews: (existing?.reviews || 0) + 1,
+            promptTokens: (existing?.promptTokens || 0) + usage.promptTokens,
+            completionTokens: (existing?.completionTokens || 0) + usage.completionTokens,
+            cost: (existing?.cost || 0) + usage.cost
+        };
+
+        try {
+            if (existing) {
+                await table.updateEntity(entity, 'Replace', { etag: existing.etag });
+            } else {
+                await table.createEntity(entity);
+            }
+            return;
+        } catch (error) {
+            const conflict = error.statusCode === 409 || error.statusCode === 412;
+            if (!conflict || attempt >= MAX_UPDATE_ATTEMPTS) throw error;
+        }
+    }
+}
+
+module.exports = {
+    parseModelPrices,
+    createUsageTracker,
+    createBudget,
+    formatCost,
+    getUsageTable,
+    getDailySpend,
+    addDailySpend
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+
+const SECRET_HEADER = 'x-webhook-secret';
+// GitLab sends the webhook's secret token in its own header; GitHub signs the payload with it instead
+const GITLAB_TOKEN_HEADER = 'x-gitlab-token';
+const GITHUB_SIGNATURE_HEADER = 'x-hub-signature-256';
+
+/**
+ * @typedef {Object} WebhookAuthSettings
+ * @property {string} [username] - Expected basic auth user name
+ * @property {string} [password] - Expected basic auth password
+ * @property {string} [secret] - Expected shared secret header value
+ * @property {string[]} [allowedOrganizations] - Organizations allowed to call the function
+ * @property {string[]} [allowedProjects] - Projects allowed to call the function, as "project" or "organization/project"
+ */
+
+/**
+ * @typedef {Object} RepositoryLocation
+ * @property {string} organization - Azure DevOps organization, GitHub owner or top-level GitLab group
+ * @property {string} project - Project name; the repository name on GitHub and the namespace on GitLab
+ * @property {string} repository - Repository name
+ */
+
+/**
+ * @typedef {Object} AuthFailure
+ * @property {number} status - HTTP status to return
+ * @property {string} message - Reason for the failure
+ */
+
+/**
+ * Read webhook authentication settings from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {WebhookAuthSettings} - Authentication settings
+ */
+function getWebhookAuthSettings(env) {
+    return {
+        username: env.WEBHOOK_USERNAME,
+        password: env.WEBHOOK_PASSWORD,
+        secret: env.WEBHOOK_SECRET,
+        allowedOrganizations: splitList(env.ALLOWED_ORGANIZATIONS),
+        allowedProjects: splitList(env.ALLOWED_PROJECTS)
+    };
+}
+
+/**
+ * Split a comma separated setting into lowercase entries
+ * @param {string} value - Setting value
+ * @returns {string[]} - Entries
+ */
+function splitList(value) {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim().toLowerCase())
+        .filter(entry => entry);
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} actual - Value received in the request
+ * @param {string} expected - Configured value
+ * @returns {boolean} - Whether the values match
+ */
+function safeEqual(actual, expected) {
+    // Hash both sides so the comparison doesn't leak the expected length
+    const actualHash = crypto.createHash('sha256').update(String(actual)).digest();
+    const expectedHash = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(actualHash, expectedHash);
+}
+
+/**
+ * Compute the signature GitHub sends for a payload
+ * @param {Object} req - HTTP request
+ * @param {string} secret - Webhook secret
+ * @returns {string} - Expected X-Hub-Signature-256 header
+ */
+function signPayload(req, secret) {
+    // The signature covers the body as sent; the parsed body is only a fallback when the raw body is unavailable
+    const body = req.rawBody ?? JSON.stringify(req.body);
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Check whether webhook credentials are configured at all
+ * @param {WebhookAuthSettings} settings - Authentication settings
+ * @returns {boolean} - Whether requests must be authenticated
+ */
+function isAuthConfigured(settings) {
+    return Boolean(settings.secret || (settings.username && settings.password));
+}
+
+/**
+ * Verify the credentials of a service hook request
+ * @param {Object} req - HTTP request
+ * @param {WebhookAuthSettings} settings - Authentication settings
+ * @returns {AuthFailure|null} - Failure to return to the caller, or null if the request is authenticated
+ */
+function verifyWebhookCredentials(req, settings) {
+    if (!isAuthConfigured(settings)) return null;
+
+    const headers = req.headers || {};
+
+    if (settings.secret) {
+        const secret = headers[SECRET_HEADER] || headers[GITLAB_TOKEN_HEADER];
+        if (secret && safeEqual(secret, settings.secret)) return null;
+
+        const signature = headers[GITHUB_SIGNATURE_HEADER];
+        if (signature && safeEqual(signature, signPayload(req, settings.secret))) return null;
+    }
+
+    if (settings.username && settings.password) {
+        const authorization = headers.authorization || '';
+        const match = authorization.match(/^Basic\s+(.+)$/i);
+        if (match) {
+            const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+            const separator = decoded.indexOf(':');
+            const username = decoded.slice(0, separator);
+            const password = decoded.slice(separator + 1);
+            // Evaluate both comparisons so timing doesn't reveal which one failed
+            const usernameMatches = separator >= 0 && safeEqual(username, settings.username);
+            const passwordMatches = separator >= 0 && safeEqual(password, settings.password);
+            if (usernameMatches && passwordMatches) return null;
+        }
+    }
+
+    return { status: 401, message: 'Unauthorized: invalid or missing webhook credentials' };
+}
+
+/**
+ * Parse organization, project and repository from an Azure DevOps repository URL
+ * @param {string} remoteUrl - Repository remote URL
+ * @returns {RepositoryLocation} - Parsed repository location
+ */
+function parseRepositoryUrl(remoteUrl) {
+    const url = new URL(remoteUrl);
+    const pathParts = url.pathname.split('/').filter(p => p).map(decodeURIComponent);
+    const gitIndex = pathParts.indexOf('_git');
+
+    // Expected URL formats:
+    //   https://dev.azure.com/{organization}/{project}/_git/{repo}
+    //   https://{organization}.visualstudio.com/[DefaultCollection/]{project}/_git/{repo}
+    if (gitIndex < 1 || gitIndex === pathParts.length - 1) {
+        throw new Error(`Unrecognized repository URL: ${remoteUrl}`);
+    }
+
+    let organization;
+    if (url.hostname.toLowerCase().endsWith('.visualstudio.com')) {
+        organization = url.hostname.split('.')[0];
+    } else {
+        organization = pathParts[0];
+    }
+
+    const project = pathParts[gitIndex - 1];
+    if (!organization || organization === project) {
+        throw new Error(`Unrecognized repository URL: ${remoteUrl}`);
+    }
+
+    return {
+        organization,
+        project,
+        repository: pathParts[gitIndex + 1]
+    };
+}
+
+/**
+ * Check the repository against the organization and project allow-lists
+ * @param {RepositoryLocation} location - Repository location
+ * @param {WebhookAuthSettings} settings - Authentication settings
+ * @returns {AuthFailure|null} - Failure to return to the caller, or null if the repository is allowed
+ */
+function verifyRepositoryAllowed(location, settings) {
+    const organization = location.organization.toLowerCase();
+    const project = location.project.toLowerCase();
+
+    if (settings.allowedOrganizations.length > 0 && !settings.allowedOrganizations.includes(organization)) {
+        return { status: 403, message: `Forbidden: organization '${location.organization}' is not allowed` };
+    }
+
+    if (settings.allowedProjects.length > 0 &&
+        !settings.allowedProjects.includes(project) &&
+        !settings.allowedProjects.includes(`${organization}/${project}`)) {
+        return { status: 403, message: `Forbidden: project '${location.project}' is not allowed` };
+    }
+
+    return null;
+}
+
+module.exports = {
+    getWebhookAuthSettings,
+    isAuthConfigured,
+    verifyWebhookCredentials,
+    parseRepositoryUrl,
+    verifyRepositoryAllowed
+};
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getPathSkipReason, getContentSkipReason } = require('../shared/changeFilter');
+
+test('getPathSkipReason skips binaries by extension', () => {
+    assert.equal(getPathSkipReason('/assets/logo.PNG'), 'binary file');
+    assert.equal(getPathSkipReason('/lib/native.dll'), 'binary file');
+});
+
+test('getPathSkipReason skips lockfiles and generated files at any depth', () => {
+    assert.equal(getPathSkipReason('/package-lock.json'), 'lockfile or generated file');
+    assert.equal(getPathSkipReason('/services/api/go.sum'), 'lockfile or generated file');
+    assert.equal(getPathSkipReason('/web/dist/app.min.js'), 'lockfile or generated file');
+    assert.equal(getPathSkipReason('/src/Form1.Designer.cs'), 'lockfile or generated file');
+});
+
+test('getPathSkipReason reviews ordinary source files', () => {
+    assert.equal(getPathSkipReason('/src/app.js'), null);
+    assert.equal(getPathSkipReason('/Makefile'), null);
+    assert.equal(getPathSkipReason('/src/minify.js'), null);
+});
+
+test('getContentSkipReason skips content with NUL bytes as binary', () => {
+    assert.equal(getContentSkipReason('PK\u0003\u0004\u0000\u0000', 1000), 'binary file');
+});
+
+test('getContentSkipReason skips files over the size limit', () => {
+    assert.equal(getContentSkipReason('x\n'.repeat(1024), 1000), 'file too large (2 KB)');
+});
+
+test('getContentSkipReason skips files with a generated marker near the top', () => {
+    assert.equal(getContentSkipReason('// <auto-generated>\nclass A {}\n', 1000), 'generated file');
+    assert.equal(getContentSkipReason('// Code generated by protoc. DO NOT EDIT.\npackage pb\n', 1000), 'generated file');
+});
+
+test('getContentSkipReason ignores generated markers further down', () => {
+    const content = `${'const a = 1;\n'.repeat(10)}// This parser is not automatically generated\n`;
+
+    assert.equal(getContentSkipReason(content, 10000), null);
+});
+
+test('getContentSkipReason skips minified content', () => {
+    assert.equal(getContentSkipReason(`var a=1;${'b=2;'.repeat(300)}\n`, 10000), 'minified file');
+});
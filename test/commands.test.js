@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    COMMAND_RESPONSE_VALIDATORS,
+    parseCommand,
+    getCommentThreadId,
+    formatCommandHelp,
+    formatConversation,
+    formatCodeExcerpt
+} = require('../shared/commands');
+
+test('parseCommand finds "@ai <command>" anywhere in a comment', () => {
+    assert.deepEqual(parseCommand('@AI Explain'), { name: 'explain', question: '' });
+    assert.deepEqual(parseCommand('Thanks! @ai explain why is this\na problem?'), { name: 'explain', question: 'why is this\na problem?' });
+    assert.equal(parseCommand('mail me at me@ai.example'), null);
+    assert.equal(parseCommand('Looks good'), null);
+    assert.equal(parseCommand(''), null);
+});
+
+test('parseCommand ignores the bot\'s own replies', () => {
+    assert.equal(parseCommand('[AI Review] Reply "@ai fix" for a suggested fix.'), null);
+});
+
+test('getCommentThreadId reads the thread from the comment links', () => {
+    const href = 'https://dev.azure.com/contoso/web/_apis/git/repositories/web/pullRequests/7/threads/31';
+
+    assert.equal(getCommentThreadId({ _links: { threads: { href } } }), 31);
+    assert.equal(getCommentThreadId({ _links: { self: { href: `${href}/comments/2` } } }), 31);
+    assert.equal(getCommentThreadId({ _links: {} }), null);
+    assert.equal(getCommentThreadId(undefined), null);
+});
+
+test('formatCommandHelp lists every command', () => {
+    assert.match(formatCommandHelp(), /^- `@ai explain`: .+\n- `@ai fix`: .+\n- `@ai ignore`: .+\n- `@ai rereview`: .+$/);
+});
+
+test('formatConversation orders comments, names authors and drops hidden markers', () => {
+    const conversation = formatConversation([
+        { id: 3, content: '@ai explain why?', author: 'Dana' },
+        { id: 1, content: 'Possible null dereference.\n<!-- ai-finding: {"line": 3} -->', byReviewer: true },
+        { id: 2, content: 'Deleted', isDeleted: true },
+        { id: 4, content: 'Me too' }
+    ]);
+
+    assert.equal(conversation, 'AI reviewer: Possible null dereference.\n\nDana: @ai explain why?\n\nDeveloper: Me too');
+});
+
+test('formatCodeExcerpt numbers the lines around a finding and marks the flagged ones', () => {
+    const content = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`).join('\n');
+
+    const excerpt = formatCodeExcerpt(content, 12, 13).split('\n');
+
+    assert.equal(excerpt.length, 22);
+    assert.equal(excerpt[0], '     2 line 2');
+    assert.equal(excerpt[10], '>   12 line 12');
+    assert.equal(excerpt[11], '>   13 line 13');
+    assert.equal(excerpt[21], '    23 line 23');
+    assert.equal(formatCodeExcerpt('only', 1, 1), '>    1 only');
+});
+
+test('the fix validator requires a suggestion and a string explanation', () => {
+    const validate = COMMAND_RESPONSE_VALIDATORS.fix;
+
+    assert.deepEqual(validate({ explanation: 'Check for null first.', suggestion: 'if (!user) return;' }), []);
+    assert.deepEqual(validate({ suggestion: 'return;' }), []);
+    assert.deepEqual(validate({ explanation: 5, suggestion: '  ' }), [
+        '"explanation" must be a string',
+        '"suggestion" must be a non-empty string with the replacement code'
+    ]);
+    assert.deepEqual(validate(['return;']), ['the response must be a JSON object with "explanation" and "suggestion"']);
+});
+
+test('the rereview validator requires a boolean verdict and a reply', () => {
+    const validate = COMMAND_RESPONSE_VALIDATORS.rereview;
+
+    assert.deepEqual(validate({ resolved: false, reply: 'The null check is still missing.' }), []);
+    assert.deepEqual(validate({ resolved: 'yes', reply: '' }), [
+        '"resolved" must be true or false',
+        '"reply" must be a non-empty string'
+    ]);
+    assert.deepEqual(validate(null), ['the response must be a JSON object with "resolved" and "reply"']);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    rebaseCorrection,
+    validateCorrection,
+    parseCorrectionBase,
+    parseCorrectionPaths,
+    formatCorrectionDescription,
+    formatCorrectionDiff
+} = require('../shared/corrections');
+
+const BASE_COMMIT = 'a'.repeat(40);
+const ORIGINAL_PR = { reference: '!7', title: 'Add login', url: 'https://example.com/pr/7' };
+const LINES = ['var a = 1;', '// 1', '// 2', '// 3', '// 4', '// 5', '// 6', 'var b = 2;'];
+
+test('rebaseCorrection returns the corrected content when the file is unchanged', () => {
+    const correction = { path: '/a.js', originalContent: 'var a;', correctedContent: 'let a;' };
+
+    assert.equal(rebaseCorrection(correction, 'var a;'), 'let a;');
+});
+
+test('rebaseCorrection re-applies the change to a file that changed elsewhere', () => {
+    const correction = {
+        path: '/a.js',
+        originalContent: LINES.join('\n'),
+        correctedContent: LINES.join('\n').replace('var b', 'const b')
+    };
+    const current = LINES.join('\n').replace('var a = 1;', 'var a = 10;');
+
+    assert.equal(rebaseCorrection(correction, current), current.replace('var b', 'const b'));
+});
+
+test('rebaseCorrection returns null when the corrected lines changed since', () => {
+    const correction = { path: '/a.js', originalContent: LINES.join('\n'), correctedContent: LINES.join('\n').replace('var b', 'const b') };
+
+    assert.equal(rebaseCorrection(correction, LINES.join('\n').replace('var b = 2;', 'var b = 3;')), null);
+});
+
+test('validateCorrection rejects empty and unchanged corrections', () => {
+    assert.equal(validateCorrection('/a.js', 'var a;', '  \n'), 'correction would empty the file');
+    assert.equal(validateCorrection('/a.js', 'var a;', 'var a;'), 'correction makes no changes');
+    assert.equal(validateCorrection('/a.js', 'var a;', 'let a;'), null);
+});
+
+test('validateCorrection rejects corrections that break the syntax', () => {
+    assert.match(validateCorrection('/a.ts', 'let a: number = 1;', 'let a: number = ;'), /^corrected file no longer parses: /);
+    assert.match(validateCorrection('/config.json', '{"a": 1}', '{"a": 1,}'), /^corrected file no longer parses: /);
+    assert.match(validateCorrection('/App.jsx', 'const x = <div />;', 'const x = <div>;'), /^corrected file no longer parses: /);
+});
+
+test('validateCorrection does not blame corrections for syntax errors the file already had', () => {
+    assert.equal(validateCorrection('/a.js', 'const a = ;\nvar b;', 'const a = ;\nlet b;'), null);
+    // Files without a parser are never syntax-checked
+    assert.equal(validateCorrection('/a.py', 'def f(:', 'def f(x):'), null);
+});
+
+test('formatCorrectionDescription lists the files and the base commit so both can be read back', () => {
+    const corrections = [
+        { path: '/src/a.js', originalContent: 'var a;\nvar b;\n', correctedContent: 'let a;\nlet b;\nlet c;\n' },
+        { path: '/src/b.js', originalContent: 'x\n', correctedContent: 'y\n' }
+    ];
+
+    const description = formatCorrectionDescription(ORIGINAL_PR, corrections, [{ path: '/src/c.js', reason: 'syntax error' }], BASE_COMMIT);
+
+    assert.match(description, /Original PR: \[!7 Add login\]\(https:\/\/example\.com\/pr\/7\)/);
+    assert.match(description, /\| `\/src\/a\.js` \| 3 \| 2 \|/);
+    assert.match(description, /- `\/src\/c\.js`: syntax error/);
+    assert.equal(parseCorrectionBase(description), BASE_COMMIT);
+    assert.deepEqual(parseCorrectionPaths(description), ['/src/a.js', '/src/b.js']);
+});
+
+test('formatCorrectionDescription truncates long file lists but keeps the base marker', () => {
+    const corrections = Array.from({ length: 200 }, (_, index) => ({
+        path: `/src/some/deeply/nested/module${index}.js`,
+        originalContent: 'a\n',
+        correctedContent: 'b\n'
+    }));
+
+    const description = formatCorrectionDescription(ORIGINAL_PR, corrections, [], BASE_COMMIT);
+
+    assert.ok(description.length <= 4000);
+    assert.match(description, /_\(list truncated\)_/);
+    assert.equal(parseCorrectionBase(description), BASE_COMMIT);
+});
+
+test('parseCorrectionBase and parseCorrectionPaths return nothing for other descriptions', () => {
+    assert.equal(parseCorrectionBase('Fixes the login page'), null);
+    assert.deepEqual(parseCorrectionPaths(undefined), []);
+});
+
+test('formatCorrectionDiff renders a git-style unified diff', () => {
+    const diff = formatCorrectionDiff({ path: '/src/a.js', originalContent: 'var a;\n', correctedContent: 'let a;\n' });
+
+    assert.equal(diff, '--- a/src/a.js\n+++ b/src/a.js\n@@ -1,1 +1,1 @@\n-var a;\n+let a;\n');
+});
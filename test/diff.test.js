@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateTokens, createHunks, getChangedLines, formatHunk, chunkHunks, applyEdits } = require('../shared/diff');
+
+/**
+ * Build file content from numbered lines
+ * @param {number} count - Number of lines
+ * @param {Function} [line] - Text of a line by its number
+ * @returns {string} - File content
+ */
+function makeFile(count, line = number => `line ${number}`) {
+    return Array.from({ length: count }, (_, index) => line(index + 1)).join('\n') + '\n';
+}
+
+test('createHunks numbers added, removed and context lines for both versions', () => {
+    const hunks = createHunks('a\nb\nc\n', 'a\nB\nc\nd\n', 1);
+
+    assert.equal(hunks.length, 1);
+    assert.deepEqual(hunks[0].lines, [
+        { type: 'context', text: 'a', oldLine: 1, newLine: 1 },
+        { type: 'remove', text: 'b', oldLine: 2, newLine: null },
+        { type: 'add', text: 'B', oldLine: null, newLine: 2 },
+        { type: 'context', text: 'c', oldLine: 3, newLine: 3 },
+        { type: 'add', text: 'd', oldLine: null, newLine: 4 }
+    ]);
+});
+
+test('createHunks keeps distant changes in separate hunks', () => {
+    const oldContent = makeFile(40);
+    const newContent = makeFile(40, number => (number === 5 || number === 35 ? `changed ${number}` : `line ${number}`));
+
+    const hunks = createHunks(oldContent, newContent, 3);
+
+    assert.equal(hunks.length, 2);
+    assert.equal(hunks[0].newStart, 2);
+    assert.equal(hunks[1].newStart, 32);
+});
+
+test('createHunks ignores a change of line endings', () => {
+    assert.deepEqual(createHunks('a\r\nb\r\n', 'a\nb\n', 3), []);
+});
+
+test('createHunks treats every line of a new file as added', () => {
+    const hunks = createHunks('', 'a\nb\n', 3);
+
+    assert.deepEqual(hunks[0].lines.map(line => [line.type, line.newLine]), [['add', 1], ['add', 2]]);
+});
+
+test('getChangedLines returns the added and modified lines of the new file', () => {
+    const changed = getChangedLines('a\nb\nc\nd\n', 'a\nx\nc\nd\ny\n');
+
+    assert.deepEqual([...changed], [2, 5]);
+});
+
+test('formatHunk prefixes lines with their new line number and leaves removed lines unnumbered', () => {
+    const [hunk] = createHunks('a\nb\n', 'a\nc\n', 1);
+
+    assert.equal(formatHunk(hunk), [
+        '@@ -1,2 +1,2 @@',
+        '     1 | a',
+        '       |-b',
+        '     2 |+c'
+    ].join('\n'));
+});
+
+test('chunkHunks keeps every hunk in one chunk when they fit the budget', () => {
+    const hunks = createHunks(makeFile(40), makeFile(40, number => (number % 10 === 0 ? 'x' : `line ${number}`)), 1);
+
+    const chunks = chunkHunks(hunks, 10000);
+
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].hunks.length, hunks.length);
+    assert.deepEqual([...chunks[0].changedLines], [10, 20, 30, 40]);
+});
+
+test('chunkHunks splits hunks over the budget and keeps each chunk within it', () => {
+    const oldContent = makeFile(200);
+    const newContent = makeFile(200, number => `changed line ${number} with some more text to make it longer`);
+    const budget = 200;
+
+    const chunks = chunkHunks(createHunks(oldContent, newContent, 3), budget);
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(estimateTokens(chunk.text) <= budget, `chunk of ${estimateTokens(chunk.text)} tokens is over budget`);
+    }
+
+    // Every added line is in exactly one chunk, in file order, with its new file line number
+    const changed = chunks.flatMap(chunk => [...chunk.changedLines]);
+    assert.deepEqual(changed, Array.from({ length: 200 }, (_, index) => index + 1));
+});
+
+test('chunkHunks reports context lines as visible but not changed', () => {
+    const [chunk] = chunkHunks(createHunks('a\nb\nc\n', 'a\nB\nc\n', 1), 1000);
+
+    assert.deepEqual([...chunk.changedLines], [2]);
+    assert.deepEqual([...chunk.visibleLines].sort(), [1, 2, 3]);
+});
+
+test('applyEdits replaces line ranges bottom-up so line numbers stay valid', () => {
+    const content = 'a\nb\nc\nd\n';
+
+    const edited = applyEdits(content, [
+        { startLine: 1, endLine: 1, content: 'A1\nA2' },
+        { startLine: 3, endLine: 4, content: 'CD' }
+    ]);
+
+    assert.equal(edited, 'A1\nA2\nb\nCD\n');
+});
+
+test('applyEdits skips edits that overlap one already applied', () => {
+    const edited = applyEdits('a\nb\nc\n', [
+        { startLine: 2, endLine: 3, content: 'X' },
+        { startLine: 1, endLine: 2, content: 'Y' }
+    ]);
+
+    assert.equal(edited, 'a\nX\n');
+});
+
+test('applyEdits keeps CRLF line endings', () => {
+    assert.equal(applyEdits('a\r\nb\r\n', [{ startLine: 2, endLine: 2, content: 'B' }]), 'a\r\nB\r\n');
+});
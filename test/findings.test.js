@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeSeverity,
+    normalizeCategory,
+    meetsSeverityThreshold,
+    formatFindingContent,
+    parseFindingMarker,
+    hashCodeLine,
+    reconcileFindings,
+    countBySeverity,
+    evaluateFindings
+} = require('../shared/findings');
+
+test('normalizeSeverity falls back to minor for unknown severities', () => {
+    assert.equal(normalizeSeverity(' Major '), 'major');
+    assert.equal(normalizeSeverity('critical'), 'minor');
+    assert.equal(normalizeSeverity(undefined), 'minor');
+});
+
+test('normalizeCategory falls back to maintainability for unknown categories', () => {
+    assert.equal(normalizeCategory('Security'), 'security');
+    assert.equal(normalizeCategory('naming'), 'maintainability');
+});
+
+test('formatFindingContent tags the severity and category so parseFindingMarker can read them back', () => {
+    const content = formatFindingContent({ severity: 'major', category: 'security', comment: 'SQL is built from input.' });
+
+    assert.match(content, /^\[AI Review\] \*\*Major\*\* \(security\): SQL is built from input\./);
+    assert.deepEqual(parseFindingMarker(content), { severity: 'major', category: 'security' });
+});
+
+test('parseFindingMarker ignores comments without a valid marker', () => {
+    assert.equal(parseFindingMarker('Looks fine to me'), null);
+    assert.equal(parseFindingMarker('<!-- ai-review-finding: {oops} -->'), null);
+    assert.equal(parseFindingMarker(undefined), null);
+});
+
+test('meetsSeverityThreshold compares against the severity order', () => {
+    assert.equal(meetsSeverityThreshold('blocker', 'major'), true);
+    assert.equal(meetsSeverityThreshold('major', 'major'), true);
+    assert.equal(meetsSeverityThreshold('minor', 'major'), false);
+    assert.equal(meetsSeverityThreshold(undefined, 'blocker'), true);
+});
+
+test('countBySeverity counts every severity, including ones without findings', () => {
+    const counts = countBySeverity([{ severity: 'major' }, { severity: 'MAJOR' }, { severity: 'unknown' }]);
+
+    assert.deepEqual(counts, { blocker: 0, major: 2, minor: 1, nit: 0 });
+});
+
+test('evaluateFindings counts findings at or above the failing severity as blocking', () => {
+    const counts = { blocker: 1, major: 2, minor: 5, nit: 9 };
+
+    assert.deepEqual(evaluateFindings(counts, 'blocker', 0), { failed: true, blocking: 1 });
+    assert.deepEqual(evaluateFindings(counts, 'major', 0), { failed: true, blocking: 3 });
+    assert.deepEqual(evaluateFindings(counts, 'nit', 0), { failed: true, blocking: 17 });
+});
+
+test('evaluateFindings allows up to the maximum number of blocking findings', () => {
+    const counts = { blocker: 0, major: 2, minor: 5, nit: 0 };
+
+    assert.deepEqual(evaluateFindings(counts, 'major', 2), { failed: false, blocking: 2 });
+    assert.deepEqual(evaluateFindings(counts, 'major', 1), { failed: true, blocking: 2 });
+});
+
+test('evaluateFindings passes when nothing reaches the failing severity', () => {
+    assert.deepEqual(evaluateFindings({ blocker: 0, major: 0, minor: 3, nit: 4 }, 'major', 0), { failed: false, blocking: 0 });
+});
+
+test('hashCodeLine ignores whitespace changes', () => {
+    assert.equal(hashCodeLine('  if (a  ==  b) {'), hashCodeLine('if (a == b) {'));
+    assert.notEqual(hashCodeLine('if (a == b) {'), hashCodeLine('if (a === b) {'));
+});
+
+test('reconcileFindings treats a similar comment near an open thread as a duplicate', () => {
+    const lines = ['const a = 1;', 'eval(input);', 'return a;'];
+    const existing = [{
+        threadId: 7,
+        line: 2,
+        codeHash: hashCodeLine('eval(input);'),
+        category: 'security',
+        text: '[AI Review] **Major** (security): Calling eval on user input allows code injection.'
+    }];
+    const finding = {
+        lineNumber: 3,
+        comment: 'Calling eval on user input allows code injection here.',
+        category: 'security',
+        codeHash: hashCodeLine('return a;')
+    };
+
+    const result = reconcileFindings([finding], existing, lines);
+
+    assert.deepEqual(result, { newFindings: [], duplicates: [{ finding, threadId: 7 }], resolved: [] });
+});
+
+test('reconcileFindings matches the same flagged code and category even when worded differently', () => {
+    const codeHash = hashCodeLine('eval(input);');
+    const existing = [{ threadId: 7, line: 2, codeHash, category: 'security', text: 'Dangerous dynamic evaluation.' }];
+    const finding = { lineNumber: 2, comment: 'Injection risk from untrusted data.', category: 'security', codeHash };
+
+    const { duplicates } = reconcileFindings([finding], existing, ['const a = 1;', 'eval(input);']);
+
+    assert.equal(duplicates.length, 1);
+});
+
+test('reconcileFindings follows flagged code that moved and posts unrelated findings', () => {
+    const codeHash = hashCodeLine('eval(input);');
+    const existing = [{ threadId: 7, line: 2, codeHash, category: 'security', text: 'Calling eval on input is unsafe.' }];
+    const lines = [...Array(20).fill('// padding'), 'eval(input);'];
+    const moved = { lineNumber: 21, comment: 'Calling eval on input is unsafe.', category: 'security', codeHash };
+    const other = { lineNumber: 1, comment: 'Remove this padding comment block.', category: 'style', codeHash: 'x' };
+
+    const result = reconcileFindings([moved, other], existing, lines);
+
+    assert.deepEqual(result.duplicates.map(duplicate => duplicate.threadId), [7]);
+    assert.deepEqual(result.newFindings, [other]);
+    assert.deepEqual(result.resolved, []);
+});
+
+test('reconcileFindings resolves threads whose flagged code is gone', () => {
+    const existing = [
+        { threadId: 7, line: 2, codeHash: hashCodeLine('eval(input);'), category: 'security', text: 'Unsafe eval.' },
+        // Threads without a code hash can't be located, so they are never resolved
+        { threadId: 8, line: 3, category: 'style', text: 'Rename this.' }
+    ];
+
+    const { resolved } = reconcileFindings([], existing, ['const a = 1;', 'run(input);', 'const b = 2;']);
+
+    assert.deepEqual(resolved.map(thread => thread.threadId), [7]);
+});
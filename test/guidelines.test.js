@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    getFileLanguage,
+    parseGuidelines,
+    createGuidelineSet,
+    formatGuidelinesForFile,
+    getPatternRules,
+    findCitedGuidelines,
+    findUnknownGuidelines,
+    loadCached
+} = require('../shared/guidelines');
+
+const GUIDELINES = `# Security
+
+1. Never log credentials.
+2. Validate input
+   from every request.
+
+## Web
+<!-- paths: src/web/** -->
+
+1. Escape HTML output.
+2. Use the design system. <!-- languages: css -->
+
+## Code Quality
+
+1. No console.log in production code. <!-- pattern: /console\\.log\\(/ --> <!-- severity: nit -->
+`;
+
+test('getFileLanguage maps extensions to languages', () => {
+    assert.equal(getFileLanguage('/src/app.TSX'), 'typescript');
+    assert.equal(getFileLanguage('/src/styles/site.scss'), 'css');
+    assert.equal(getFileLanguage('/Makefile'), null);
+});
+
+test('parseGuidelines splits numbered rules under their section headings', () => {
+    const { rules, freeText } = parseGuidelines(GUIDELINES, 'guidelines.md');
+
+    assert.equal(freeText, undefined);
+    assert.deepEqual(rules.map(rule => rule.id), ['Security 1', 'Security 2', 'Web 1', 'Web 2', 'Code Quality 1']);
+    assert.equal(rules[0].source, 'guidelines.md');
+    assert.equal(rules[1].text, 'Validate input from every request.');
+});
+
+test('parseGuidelines applies section scopes unless a rule sets its own', () => {
+    const rules = parseGuidelines(GUIDELINES, 'guidelines.md').rules;
+    const web1 = rules.find(rule => rule.id === 'Web 1');
+    const web2 = rules.find(rule => rule.id === 'Web 2');
+
+    assert.deepEqual(web1.paths, ['src/web/**']);
+    assert.deepEqual(web2.paths, []);
+    assert.deepEqual(web2.languages, ['css']);
+    assert.equal(web2.text, 'Use the design system.');
+});
+
+test('parseGuidelines reads pattern checks and their severity', () => {
+    const rule = parseGuidelines(GUIDELINES, 'guidelines.md').rules.find(rule => rule.id === 'Code Quality 1');
+
+    assert.equal(rule.text, 'No console.log in production code.');
+    assert.equal(rule.severity, 'nit');
+    assert.ok(rule.pattern.test('console.log(value)'));
+    assert.equal(rule.pattern.flags.includes('g'), false);
+});
+
+test('parseGuidelines keeps documents without numbered rules as free text', () => {
+    assert.deepEqual(parseGuidelines('\nPrefer small functions.\n', 'notes.md'), { rules: [], freeText: 'Prefer small functions.' });
+});
+
+test('formatGuidelinesForFile only includes rules that apply to the file', () => {
+    const guidelineSet = createGuidelineSet([
+        parseGuidelines(GUIDELINES, 'guidelines.md'),
+        parseGuidelines('Keep it simple.', 'notes.md')
+    ]);
+
+    const forScript = formatGuidelinesForFile(guidelineSet, '/src/api/handler.js').split('\n');
+    const forWebStyles = formatGuidelinesForFile(guidelineSet, '/src/web/site.css').split('\n');
+
+    assert.ok(!forScript.some(line => line.startsWith('[Web')));
+    assert.equal(forScript[forScript.length - 1], 'Keep it simple.');
+    assert.ok(forWebStyles.includes('[Web 1] Escape HTML output.'));
+    assert.ok(forWebStyles.includes('[Web 2] Use the design system.'));
+    assert.equal(getPatternRules(guidelineSet, '/src/api/handler.js').length, 1);
+});
+
+test('findCitedGuidelines and findUnknownGuidelines read IDs from a comment', () => {
+    const guidelineSet = createGuidelineSet([parseGuidelines(GUIDELINES, 'guidelines.md')]);
+    const comment = 'Credentials end up in the log [Security 1, security 9]. See [the docs].';
+
+    assert.deepEqual(findCitedGuidelines(comment), ['Security 1', 'security 9']);
+    assert.deepEqual(findUnknownGuidelines(guidelineSet, comment), ['security 9']);
+    assert.deepEqual(findUnknownGuidelines(createGuidelineSet([]), comment), []);
+});
+
+test('loadCached reuses a loaded value until it expires', async () => {
+    let loads = 0;
+    const load = async () => ++loads;
+
+    assert.equal(await loadCached('test:reuse', 60000, load), 1);
+    assert.equal(await loadCached('test:reuse', 60000, load), 1);
+    assert.equal(await loadCached('test:expired', 0, load), 2);
+    assert.equal(await loadCached('test:expired', 0, load), 3);
+});
+
+test('loadCached does not keep failed loads', async () => {
+    await assert.rejects(loadCached('test:failing', 60000, async () => { throw new Error('offline'); }), /offline/);
+
+    assert.equal(await loadCached('test:failing', 60000, async () => 'loaded'), 'loaded');
+});
@@ -0,0 +1,46 @@
+const http = require('http');
+
+/**
+ * Start a local HTTP server that answers a provider's API from a table of routes
+ *
+ * Routes are keyed by method and path, e.g. "GET /repos/contoso/web/pulls/7", with the path as sent
+ * (still URL-encoded) and without the query string. A route is a JSON body to send with status 200,
+ * or a function that receives the request and returns {status, body}. Unknown routes get a 404.
+ * @param {Object} routes - Responses by route
+ * @returns {Promise<{url: string, requests: Object[], close: Function}>} - Server URL, the requests
+ *   received as {method, path, query, headers, body}, and a function that stops the server
+ */
+async function startApiServer(routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                headers: req.headers,
+                body: data ? JSON.parse(data) : undefined
+            };
+            requests.push(request);
+
+            const route = routes[`${req.method} ${url.pathname}`];
+            const response = typeof route === 'function'
+                ? route(request)
+                : { status: route === undefined ? 404 : 200, body: route === undefined ? { message: 'Not Found' } : route };
+            res.writeHead(response.status || 200, { 'Content-Type': typeof response.body === 'string' ? 'text/plain' : 'application/json' });
+            res.end(typeof response.body === 'string' ? response.body : JSON.stringify(response.body ?? {}));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startApiServer };
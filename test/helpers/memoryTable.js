@@ -0,0 +1,55 @@
+/**
+ * Create an error like the ones the table client throws
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with the status code
+ */
+function tableError(statusCode) {
+    const error = new Error(`Table request failed with ${statusCode}`);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Create an in-memory stand-in for an Azure table client, with etags for optimistic concurrency
+ * @returns {Object} - Table client with the entities it holds, keyed by "partitionKey|rowKey"
+ */
+function createMemoryTable() {
+    const entities = new Map();
+    let version = 0;
+
+    const key = (partitionKey, rowKey) => `${partitionKey}|${rowKey}`;
+    const store = entity => {
+        const stored = { ...entity, etag: `W/"${++version}"` };
+        entities.set(key(entity.partitionKey, entity.rowKey), stored);
+    };
+
+    return {
+        entities,
+        createEntity: async entity => {
+            if (entities.has(key(entity.partitionKey, entity.rowKey))) throw tableError(409);
+            store(entity);
+        },
+        getEntity: async (partitionKey, rowKey) => {
+            const entity = entities.get(key(partitionKey, rowKey));
+            if (!entity) throw tableError(404);
+            return { ...entity };
+        },
+        updateEntity: async (entity, mode, options = {}) => {
+            const existing = entities.get(key(entity.partitionKey, entity.rowKey));
+            if (!existing) throw tableError(404);
+            if (options.etag && options.etag !== existing.etag) throw tableError(412);
+            store(mode === 'Merge' ? { ...existing, ...entity } : entity);
+        },
+        upsertEntity: async (entity, mode) => {
+            const existing = entities.get(key(entity.partitionKey, entity.rowKey));
+            store(mode === 'Merge' && existing ? { ...existing, ...entity } : entity);
+        },
+        deleteEntity: async (partitionKey, rowKey) => {
+            if (!entities.delete(key(partitionKey, rowKey))) throw tableError(404);
+        }
+    };
+}
+
+module.exports = {
+    createMemoryTable
+};
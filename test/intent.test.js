@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    extractAcceptanceCriteria,
+    formatIntent,
+    getDescriptionProblem,
+    formatIntentChanges,
+    validateIntentResponse
+} = require('../shared/intent');
+
+const ISSUE = `Users can't log in with SSO.
+
+## Acceptance criteria
+- SSO users land on the dashboard
+- Failed logins show an error
+
+## Notes
+Staging only for now.`;
+
+const VALID_RESPONSE = {
+    criteria: [{ criterion: 'SSO users land on the dashboard', status: 'Addressed', explanation: 'The redirect is added.' }],
+    description: { matches: true, explanation: 'The change does what the description says.' }
+};
+
+test('extractAcceptanceCriteria splits the criteria section out of an issue body', () => {
+    assert.deepEqual(extractAcceptanceCriteria(ISSUE), {
+        description: "Users can't log in with SSO.\n\n## Notes\nStaging only for now.",
+        acceptanceCriteria: '- SSO users land on the dashboard\n- Failed logins show an error'
+    });
+});
+
+test('extractAcceptanceCriteria recognizes bold headings and bodies without criteria', () => {
+    assert.deepEqual(extractAcceptanceCriteria('Fix it.\n\n**Acceptance Criteria:**\n1. It works'), {
+        description: 'Fix it.',
+        acceptanceCriteria: '1. It works'
+    });
+    assert.deepEqual(extractAcceptanceCriteria('Just fix it.'), { description: 'Just fix it.', acceptanceCriteria: '' });
+    assert.deepEqual(extractAcceptanceCriteria(undefined), { description: '', acceptanceCriteria: '' });
+});
+
+test('formatIntent lists the PR and its work items with their criteria', () => {
+    const intent = formatIntent(
+        { title: 'Fix SSO login', description: 'Redirects SSO users after login.' },
+        [{ id: 3, type: 'Issue', state: 'open', title: 'SSO login fails', description: ISSUE, acceptanceCriteria: '' }],
+        1500
+    );
+
+    assert.match(intent, /^PURPOSE OF THE CHANGE.*\nPULL REQUEST: Fix SSO login\nRedirects SSO users after login\.\n/);
+    assert.match(intent, /WORK ITEM 3 \(Issue, open\): SSO login fails\nDescription:\nUsers can't log in with SSO\.\n\n## Notes\nStaging only for now\.\n/);
+    assert.match(intent, /Acceptance criteria:\n- SSO users land on the dashboard\n- Failed logins show an error$/);
+    assert.equal(formatIntent({ title: 'T', description: '' }, [], 0), '');
+});
+
+test('formatIntent shortens long descriptions to the budget', () => {
+    const intent = formatIntent({ title: 'T', description: 'word '.repeat(200) }, [], 20);
+
+    assert.match(intent, /\nPULL REQUEST: T\n(word ){15}word \[\.\.\.\]$/);
+});
+
+test('getDescriptionProblem flags empty descriptions and ones that repeat the title', () => {
+    assert.match(getDescriptionProblem({ title: 'Fix login', description: '<!-- Describe your change -->\n' }), /no description/);
+    assert.match(getDescriptionProblem({ title: 'Fix login', description: 'fix login' }), /only repeats the title/);
+    assert.equal(getDescriptionProblem({ title: 'Fix login', description: 'Redirects SSO users after login.' }), null);
+});
+
+test('formatIntentChanges names the diffs that don\'t fit the budget', () => {
+    const changes = [
+        { path: '/src/big.js', diff: '+'.repeat(400) },
+        { path: '/src/small.js', diff: '+ok' }
+    ];
+
+    assert.equal(formatIntentChanges(changes, 50), '--- /src/small.js\n+ok\n\nDiffs left out to fit the prompt: /src/big.js');
+});
+
+test('validateIntentResponse accepts the documented format', () => {
+    assert.deepEqual(validateIntentResponse(VALID_RESPONSE), []);
+    assert.deepEqual(validateIntentResponse({ ...VALID_RESPONSE, criteria: [] }), []);
+});
+
+test('validateIntentResponse names every problem', () => {
+    assert.deepEqual(validateIntentResponse({
+        criteria: [{ criterion: ' ', status: 'done' }],
+        description: { matches: 'yes' }
+    }), [
+        'criteria[0].criterion must be a non-empty string',
+        'criteria[0].status must be one of "addressed", "not addressed", "unclear"',
+        'criteria[0].explanation must be a string',
+        '"description.matches" must be true or false',
+        '"description.explanation" must be a string'
+    ]);
+    assert.deepEqual(validateIntentResponse({ description: VALID_RESPONSE.description }),
+        ['"criteria" must be an array, empty when there are no linked work items']);
+    assert.deepEqual(validateIntentResponse('addressed'),
+        ['the response must be a JSON object with "criteria" and "description"']);
+});
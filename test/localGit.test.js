@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNameStatus } = require('../shared/localGit');
+
+test('parseNameStatus reads additions, edits and deletions', () => {
+    const changes = parseNameStatus('A\0src/new.js\0M\0src/app.js\0D\0old.txt\0T\0link\0');
+
+    assert.deepEqual(changes, [
+        { path: '/src/new.js', originalPath: null, kind: 'add' },
+        { path: '/src/app.js', originalPath: '/src/app.js', kind: 'edit' },
+        { path: '/old.txt', originalPath: '/old.txt', kind: 'delete' },
+        { path: '/link', originalPath: '/link', kind: 'edit' }
+    ]);
+});
+
+test('parseNameStatus reads the old and new path of renames', () => {
+    assert.deepEqual(parseNameStatus('R087\0src/a.js\0lib/a.js\0'), [
+        { path: '/lib/a.js', originalPath: '/src/a.js', kind: 'rename' }
+    ]);
+});
+
+test('parseNameStatus treats copies as new files', () => {
+    assert.deepEqual(parseNameStatus('C100\0src/a.js\0src/b.js\0M\0README.md\0'), [
+        { path: '/src/b.js', originalPath: null, kind: 'add' },
+        { path: '/README.md', originalPath: '/README.md', kind: 'edit' }
+    ]);
+});
+
+test('parseNameStatus keeps paths with spaces and returns nothing for empty output', () => {
+    assert.deepEqual(parseNameStatus('M\0docs/my file.md\0'), [
+        { path: '/docs/my file.md', originalPath: '/docs/my file.md', kind: 'edit' }
+    ]);
+    assert.deepEqual(parseNameStatus(''), []);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readModelSettings, getModelConfigError, createReviewModel } = require('../shared/modelProviders');
+
+const LOCAL = { LOCAL_BASE_URL: 'http://localhost:11434/v1', LOCAL_MODEL: 'llama3' };
+const OPENAI = { OPENAI_API_KEY: 'sk-test', OPENAI_MODEL: 'gpt-4o' };
+
+test('readModelSettings defaults to auto mode', () => {
+    const settings = readModelSettings({ ...LOCAL, MODEL_FALLBACK_ORDER: 'local, openai' });
+
+    assert.equal(settings.MODEL_TYPE, 'auto');
+    assert.deepEqual(settings.MODEL_FALLBACK_ORDER, ['local', 'openai']);
+    assert.equal(settings.LOCAL_MODEL, 'llama3');
+});
+
+test('aliases select the provider they stand for', () => {
+    const { describe } = createReviewModel(readModelSettings({ ...LOCAL, MODEL_TYPE: 'Ollama' }));
+
+    assert.equal(describe(), 'ollama/llama3');
+});
+
+test('getModelConfigError names missing settings and unknown providers', () => {
+    assert.equal(getModelConfigError(readModelSettings({ ...LOCAL, MODEL_TYPE: 'vllm' })), null);
+    assert.match(getModelConfigError(readModelSettings({ MODEL_TYPE: 'local', LOCAL_MODEL: 'llama3' })),
+        /MODEL_TYPE is set to 'local' but LOCAL_BASE_URL is missing/);
+    assert.match(getModelConfigError(readModelSettings({ MODEL_TYPE: 'bard' })),
+        /Invalid MODEL_TYPE: bard\. Valid values: azure, openai, gemini, local, ollama, vllm, auto/);
+    assert.match(getModelConfigError(readModelSettings({})), /no model provider is configured/);
+});
+
+test('auto mode chains the configured providers in MODEL_FALLBACK_ORDER', () => {
+    const { describe } = createReviewModel(readModelSettings({ ...LOCAL, ...OPENAI, MODEL_FALLBACK_ORDER: 'vllm,gemini,openai' }));
+
+    assert.equal(describe(), 'auto: vllm/llama3, openai/gpt-4o');
+    assert.match(getModelConfigError(readModelSettings({ ...LOCAL, MODEL_FALLBACK_ORDER: 'local,bard' })),
+        /Invalid provider in MODEL_FALLBACK_ORDER: bard/);
+});
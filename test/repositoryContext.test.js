@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    findChangedSymbols,
+    findImports,
+    resolveImportCandidates,
+    createContextCollector
+} = require('../shared/repositoryContext');
+
+const hunk = lines => ({ lines: lines.map(([type, text]) => ({ type, text })) });
+
+test('findChangedSymbols finds definitions on added and removed lines only', () => {
+    const hunks = [hunk([
+        ['context', 'function untouched() {'],
+        ['remove', 'function parseConfig(text) {'],
+        ['add', 'function parseConfig(text, options) {'],
+        ['add', 'const load = async (id) => {'],
+        ['add', '    async save(item) {'],
+        ['add', '    if (ready) {'],
+        ['add', 'class Store {'],
+        ['add', 'def render(template):']
+    ])];
+
+    assert.deepEqual(findChangedSymbols(hunks), ['parseConfig', 'load', 'save', 'Store', 'render']);
+});
+
+test('findImports reads named, default and namespace imports of repository files', () => {
+    const content = [
+        "const { parse, format: formatDate } = require('./dates');",
+        "const utils = require('../utils');",
+        "import Client, { connect as open } from './client';",
+        "import * as api from '/src/api';",
+        "export * from './types';",
+        "const axios = require('axios');",
+        'utils.slugify(api.get(parse(input)));'
+    ].join('\n');
+
+    assert.deepEqual(findImports(content, '/src/app.js'), [
+        { specifier: './dates', names: ['parse', 'format'] },
+        { specifier: './client', names: ['connect', 'Client'] },
+        { specifier: '../utils', names: ['slugify'] },
+        { specifier: '/src/api', names: ['api', 'get'] },
+        { specifier: './types', names: [] }
+    ]);
+});
+
+test('findImports reads Python from-imports', () => {
+    const content = 'from .models import (User, Group as Team)\nfrom app.db import session\nimport os\n';
+
+    assert.deepEqual(findImports(content, '/app/views.py'), [
+        { specifier: '.models', names: ['User', 'Group'] },
+        { specifier: 'app.db', names: ['session'] }
+    ]);
+});
+
+test('resolveImportCandidates tries the importing file\'s extension and index files', () => {
+    const candidates = resolveImportCandidates('../lib/dates', '/src/app/main.ts');
+
+    assert.equal(candidates[0], '/src/lib/dates.ts');
+    assert.ok(candidates.includes('/src/lib/dates.js'));
+    assert.ok(candidates.includes('/src/lib/dates/index.ts'));
+    assert.deepEqual(resolveImportCandidates('./dates.js', '/src/main.ts'), ['/src/dates.js']);
+});
+
+test('resolveImportCandidates resolves relative and absolute Python modules', () => {
+    assert.deepEqual(resolveImportCandidates('..models', '/app/api/views.py'), ['/app/models.py', '/app/models/__init__.py']);
+    assert.deepEqual(resolveImportCandidates('app.db', '/app/api/views.py'), ['/app/db.py', '/app/db/__init__.py']);
+});
+
+test('the collector shows callers in other changed files and definitions the file imports', async () => {
+    const files = {
+        '/src/dates.js': 'function parse(text) {\n    return new Date(text);\n}\n',
+        '/src/report.js': 'const { render } = require(\'./render\');\n\nconst page = render(data);\n'
+    };
+    const reads = [];
+    const collector = createContextCollector({
+        changedPaths: ['/src/render.js', '/src/report.js'],
+        readFile: async filePath => {
+            reads.push(filePath);
+            if (files[filePath] === undefined) throw Object.assign(new Error('Not found'), { statusCode: 404 });
+            return files[filePath];
+        }
+    });
+    const content = "const { parse } = require('./dates');\n\nfunction render(data) {\n    return parse(data.date);\n}\n";
+
+    const section = await collector.collect('/src/render.js', [hunk([['add', 'function render(data) {']])], content);
+
+    assert.match(section, /^RELATED CODE FROM OTHER FILES/);
+    assert.match(section, /--- \/src\/report\.js \(calls render\) ---\n {4}1 const \{ render \}/);
+    assert.match(section, /--- \/src\/dates\.js \(defines parse\) ---\n {4}1 function parse\(text\) \{/);
+    assert.ok(section.indexOf('calls render') < section.indexOf('defines parse'));
+
+    // Files are read once per review
+    await collector.collect('/src/render.js', [], content);
+    assert.equal(reads.filter(filePath => filePath === '/src/dates.js').length, 1);
+});
+
+test('the collector uses remembered files and respects the token budget', async () => {
+    const readFile = async () => { throw new Error('unexpected read'); };
+    const content = "import { parse } from './dates';\n";
+    const hunks = [hunk([['add', 'parse(value);']])];
+
+    const collector = createContextCollector({ changedPaths: ['/src/dates.ts'], readFile });
+    collector.remember('/src/dates.ts', 'export function parse(text) {\n    return text;\n}\n');
+    assert.match(await collector.collect('/src/main.ts', hunks, content), /\/src\/dates\.ts \(defines parse\)/);
+
+    const small = createContextCollector({ changedPaths: ['/src/dates.ts'], readFile, maxTokens: 5 });
+    small.remember('/src/dates.ts', 'export function parse(text) {\n    return text;\n}\n');
+    assert.equal(await small.collect('/src/main.ts', hunks, content), '');
+});
+
+test('the collector passes on read errors other than a missing file', async () => {
+    const collector = createContextCollector({
+        changedPaths: [],
+        readFile: async () => { throw Object.assign(new Error('rate limited'), { statusCode: 429 }); }
+    });
+
+    await assert.rejects(collector.collect('/src/main.js', [], "const { a } = require('./a');\n"), /rate limited/);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    INVALID_REVIEW_CONFIG,
+    loadRepositoryConfig,
+    parseRepositoryConfig,
+    mergeRepositoryConfig,
+    isPathIncluded
+} = require('../shared/reviewConfig');
+
+/**
+ * Create an error like the one SCM clients throw for a missing file
+ * @returns {Error} - Error with statusCode 404
+ */
+function notFound() {
+    const error = new Error('not found');
+    error.statusCode = 404;
+    return error;
+}
+
+test('parseRepositoryConfig reads YAML and normalizes values', () => {
+    const config = parseRepositoryConfig([
+        'include: src/**',
+        'exclude: ["**/*.test.js"]',
+        'guidelines: [" docs/guidelines.md "]',
+        'model: " openai "',
+        'maxComments: 10',
+        'severityThreshold: Major',
+        'createCorrectionPR: false',
+        'staticAnalyzers: ESLint',
+        'eslintRules:',
+        '  no-debugger: Off',
+        '  eqeqeq: minor'
+    ].join('\n'), '/.ai-review.yml');
+
+    assert.deepEqual(config, {
+        include: ['src/**'],
+        exclude: ['**/*.test.js'],
+        guidelines: ['docs/guidelines.md'],
+        model: 'openai',
+        maxComments: 10,
+        severityThreshold: 'major',
+        createCorrectionPR: false,
+        staticAnalyzers: ['eslint'],
+        eslintRules: { 'no-debugger': 'off', eqeqeq: 'minor' }
+    });
+});
+
+test('parseRepositoryConfig reads JSON files and treats an empty file as the defaults', () => {
+    assert.deepEqual(parseRepositoryConfig('{"failOnSeverity": "blocker"}', '/.ai-review.json'), { failOnSeverity: 'blocker' });
+    assert.deepEqual(parseRepositoryConfig('', '/.ai-review.yml'), {});
+});
+
+test('parseRepositoryConfig rejects invalid values with INVALID_REVIEW_CONFIG', () => {
+    const invalid = [
+        ['include: 5', /'include' must be a glob or a list of globs/],
+        ['guidelines: []', /'guidelines' must be a path or URL/],
+        ['maxComments: -1', /'maxComments' must be a non-negative integer/],
+        ['failOnSeverity: critical', /'failOnSeverity' must be one of: blocker, major, minor, nit/],
+        ['createCorrectionPR: "yes"', /'createCorrectionPR' must be true or false/],
+        ['eslintRules: { eqeqeq: error }', /'eslintRules.eqeqeq' must be one of/],
+        ['eslintRules: { react/jsx-key: major }', /'eslintRules.react\/jsx-key' is not a core ESLint rule/],
+        ['- a list', /expected an object/],
+        ['include: [', /Invalid review configuration in \/.ai-review.yml/]
+    ];
+
+    for (const [content, message] of invalid) {
+        assert.throws(() => parseRepositoryConfig(content, '/.ai-review.yml'), error => {
+            assert.equal(error.code, INVALID_REVIEW_CONFIG);
+            assert.match(error.message, message);
+            return true;
+        }, content);
+    }
+});
+
+test('parseRepositoryConfig ignores unknown settings with a warning', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.deepEqual(parseRepositoryConfig('maxComment: 3', '/.ai-review.yml'), {});
+    assert.match(warn.mock.calls[0].arguments[0], /unknown settings in \/.ai-review.yml: maxComment/);
+});
+
+test('loadRepositoryConfig uses the first configuration file found', async () => {
+    const files = { '/.ai-review.yaml': 'maxComments: 2', '/.ai-review.json': '{"maxComments": 3}' };
+    const readFile = async filePath => {
+        if (!(filePath in files)) throw notFound();
+        return files[filePath];
+    };
+
+    assert.deepEqual(await loadRepositoryConfig(readFile), { path: '/.ai-review.yaml', config: { maxComments: 2 } });
+    assert.equal(await loadRepositoryConfig(async () => { throw notFound(); }), null);
+});
+
+test('loadRepositoryConfig passes on errors other than a missing file', async () => {
+    await assert.rejects(loadRepositoryConfig(async () => { throw new Error('unauthorized'); }), /unauthorized/);
+});
+
+test('mergeRepositoryConfig overrides only the settings the repository sets', () => {
+    const config = { MAX_COMMENTS: 20, MODEL_TYPE: 'azure', CREATE_NEW_PR: true, ESLINT_RULES: { eqeqeq: 'minor' } };
+
+    const merged = mergeRepositoryConfig(config, {
+        guidelines: ['docs/rules.md', 'https://example.com/rules.md'],
+        createCorrectionPR: false,
+        eslintRules: { 'no-debugger': 'off' }
+    });
+
+    assert.deepEqual(merged, {
+        MAX_COMMENTS: 20,
+        MODEL_TYPE: 'azure',
+        CREATE_NEW_PR: false,
+        GUIDELINE_SOURCES: ['repo:/docs/rules.md', 'https://example.com/rules.md'],
+        ESLINT_RULES: { eqeqeq: 'minor', 'no-debugger': 'off' }
+    });
+    assert.deepEqual(config.ESLINT_RULES, { eqeqeq: 'minor' });
+});
+
+test('isPathIncluded applies include and exclude globs', () => {
+    assert.equal(isPathIncluded('/src/app.js', [], []), true);
+    assert.equal(isPathIncluded('/src/app.js', ['src/**'], []), true);
+    assert.equal(isPathIncluded('/docs/readme.md', ['src/**'], []), false);
+    assert.equal(isPathIncluded('/src/deep/app.min.js', [], ['*.min.js']), false);
+    assert.equal(isPathIncluded('/src/.config/app.js', ['/src/**'], []), true);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB_STATUS, createReviewJob, registerReviewJob, getReviewJob, updateReviewJob } = require('../shared/reviewJobs');
+const { createMemoryTable } = require('./helpers/memoryTable');
+
+const TARGET = {
+    provider: 'github',
+    organization: 'contoso',
+    project: 'web',
+    repository: 'web',
+    pullRequestId: 42,
+    sourceCommitId: 'a'.repeat(40)
+};
+
+test('createReviewJob gives webhooks for the same PR iteration the same job ID', () => {
+    const first = createReviewJob(TARGET);
+    const second = createReviewJob({ ...TARGET, organization: 'Contoso' });
+    const nextIteration = createReviewJob({ ...TARGET, sourceCommitId: 'b'.repeat(40) });
+    const otherHost = createReviewJob({ ...TARGET, provider: 'gitlab' });
+
+    assert.match(first.jobId, /^pr-42-[0-9a-f]{16}$/);
+    assert.equal(second.jobId, first.jobId);
+    assert.notEqual(nextIteration.jobId, first.jobId);
+    assert.notEqual(otherHost.jobId, first.jobId);
+});
+
+test('createReviewJob never matches jobs without a source commit', () => {
+    const { sourceCommitId, ...target } = TARGET;
+
+    assert.notEqual(createReviewJob(target).jobId, createReviewJob(target).jobId);
+    assert.equal(createReviewJob(target).sourceCommitId, '');
+});
+
+test('createReviewJob keys command jobs by comment and keeps the dry-run flag', () => {
+    const command = { name: 'explain', threadId: 5, commentId: 2 };
+
+    const job = createReviewJob({ ...TARGET, command, dryRun: true });
+
+    assert.equal(job.jobId, createReviewJob({ ...TARGET, sourceCommitId: 'c'.repeat(40), command }).jobId);
+    assert.deepEqual(job.command, command);
+    assert.equal(job.dryRun, true);
+    assert.equal('dryRun' in createReviewJob(TARGET), false);
+});
+
+test('registerReviewJob queues a job once and reports the existing status afterwards', async () => {
+    const table = createMemoryTable();
+    const job = createReviewJob(TARGET);
+
+    assert.deepEqual(await registerReviewJob(table, job), { created: true, status: JOB_STATUS.QUEUED });
+
+    await updateReviewJob(table, job, { status: JOB_STATUS.RUNNING, attempts: 1 });
+    assert.deepEqual(await registerReviewJob(table, job), { created: false, status: JOB_STATUS.RUNNING });
+
+    const record = await getReviewJob(table, job);
+    assert.equal(record.status, JOB_STATUS.RUNNING);
+    assert.equal(record.attempts, 1);
+    assert.equal(record.pullRequestId, 42);
+});
+
+test('registerReviewJob queues a failed job again', async () => {
+    const table = createMemoryTable();
+    const job = createReviewJob(TARGET);
+    await registerReviewJob(table, job);
+    await updateReviewJob(table, job, { status: JOB_STATUS.FAILED, attempts: 5, error: 'model unavailable' });
+
+    assert.deepEqual(await registerReviewJob(table, job), { created: true, status: JOB_STATUS.QUEUED });
+
+    const record = await getReviewJob(table, job);
+    assert.equal(record.attempts, 0);
+    assert.equal(record.error, '');
+});
+
+test('registerReviewJob leaves a failed job to the webhook that re-queued it first', async () => {
+    const table = createMemoryTable();
+    const job = createReviewJob(TARGET);
+    await registerReviewJob(table, job);
+    await updateReviewJob(table, job, { status: JOB_STATUS.FAILED });
+
+    // Another webhook replaces the record between this one's read and write
+    const getEntity = table.getEntity;
+    table.getEntity = async (...args) => {
+        const entity = await getEntity(...args);
+        await updateReviewJob(table, job, { status: JOB_STATUS.QUEUED });
+        return entity;
+    };
+
+    assert.deepEqual(await registerReviewJob(table, job), { created: false, status: JOB_STATUS.QUEUED });
+});
+
+test('getReviewJob returns null for unknown jobs', async () => {
+    assert.equal(await getReviewJob(createMemoryTable(), createReviewJob(TARGET)), null);
+});
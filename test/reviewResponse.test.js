@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateReviewResponse, parseReviewResponse, formatRepairRequest } = require('../shared/reviewResponse');
+
+const VALID_COMMENT = {
+    lineNumber: 3,
+    endLineNumber: 4,
+    severity: 'major',
+    category: 'correctness',
+    comment: 'The loop never ends.',
+    suggestion: 'while (i < n) i++;'
+};
+
+test('validateReviewResponse accepts a well-formed response', () => {
+    assert.deepEqual(validateReviewResponse({ comments: [VALID_COMMENT] }), []);
+    assert.deepEqual(validateReviewResponse({ comments: [] }), []);
+});
+
+test('validateReviewResponse accepts comments without an end line or suggestion', () => {
+    const { endLineNumber, suggestion, ...comment } = VALID_COMMENT;
+
+    assert.deepEqual(validateReviewResponse({ comments: [comment, { ...comment, endLineNumber: null, suggestion: null }] }), []);
+});
+
+test('validateReviewResponse rejects responses that are not an object with a comments array', () => {
+    assert.equal(validateReviewResponse([]).length, 1);
+    assert.equal(validateReviewResponse(null).length, 1);
+    assert.match(validateReviewResponse({ comment: [] })[0], /"comments" must be an array/);
+});
+
+test('validateReviewResponse does not coerce line numbers', () => {
+    const problems = validateReviewResponse({
+        comments: [
+            { ...VALID_COMMENT, lineNumber: '3' },
+            { ...VALID_COMMENT, lineNumber: 0 },
+            { ...VALID_COMMENT, endLineNumber: 2 }
+        ]
+    });
+
+    assert.deepEqual(problems, [
+        'comments[0].lineNumber must be a positive integer line number',
+        'comments[1].lineNumber must be a positive integer line number',
+        'comments[2].endLineNumber must be an integer line number no smaller than lineNumber'
+    ]);
+});
+
+test('validateReviewResponse reports each invalid field', () => {
+    const problems = validateReviewResponse({
+        comments: ['text', { ...VALID_COMMENT, severity: 'critical', category: 1, comment: ' ', suggestion: 5 }]
+    });
+
+    assert.deepEqual(problems, [
+        'comments[0] must be an object',
+        'comments[1].severity must be one of "blocker", "major", "minor", "nit"',
+        'comments[1].category must be a string',
+        'comments[1].comment must be a non-empty string',
+        'comments[1].suggestion must be a string or left out'
+    ]);
+});
+
+test('parseReviewResponse parses JSON in a code fence', async () => {
+    const content = `\`\`\`json\n${JSON.stringify({ comments: [VALID_COMMENT] })}\n\`\`\``;
+
+    const result = await parseReviewResponse({ content });
+
+    assert.equal(result.raw, content);
+    assert.deepEqual(result.response, { comments: [VALID_COMMENT] });
+    assert.deepEqual(result.problems, []);
+});
+
+test('parseReviewResponse reports text that is not JSON', async () => {
+    const result = await parseReviewResponse({ content: 'Looks good to me!' });
+
+    assert.equal(result.response, undefined);
+    assert.match(result.problems[0], /not valid JSON/);
+});
+
+test('parseReviewResponse validates against another response format when given one', async () => {
+    const result = await parseReviewResponse({ content: '{"answer": 1}' }, response => (response.answer === 2 ? [] : ['wrong answer']));
+
+    assert.deepEqual(result.problems, ['wrong answer']);
+});
+
+test('formatRepairRequest lists the problems and truncates long responses', () => {
+    const problems = Array.from({ length: 12 }, (_, index) => `problem ${index + 1}`);
+
+    const request = formatRepairRequest({ raw: 'x'.repeat(5000), problems });
+
+    assert.match(request, /- problem 10\n- and 2 more/);
+    assert.doesNotMatch(request, /problem 11/);
+    assert.match(request, /x{4000}\n\[\.\.\.\]/);
+    assert.doesNotMatch(request, /x{4001}/);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler, withTimeout, isRetryableError, getRetryAfterMs } = require('../shared/scheduler');
+
+/**
+ * Create an error like the ones HTTP clients throw
+ * @param {number} status - HTTP status code
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} - Error with the status and headers
+ */
+function httpError(status, headers) {
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    if (headers) error.headers = headers;
+    return error;
+}
+
+/**
+ * Create a task that fails with the given errors before succeeding
+ * @param {Error[]} errors - Errors to throw, one per attempt
+ * @returns {Function} - Task that records how often it was called
+ */
+function failingTask(errors) {
+    const task = async () => {
+        task.calls++;
+        if (task.calls <= errors.length) throw errors[task.calls - 1];
+        return 'done';
+    };
+    task.calls = 0;
+    return task;
+}
+
+test('isRetryableError retries timeouts, rate limits, server errors and dropped connections', () => {
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(503)), true);
+    assert.equal(isRetryableError({ response: { status: 502 } }), true);
+    assert.equal(isRetryableError({ cause: { code: 'ECONNRESET' } }), true);
+
+    assert.equal(isRetryableError(httpError(400)), false);
+    assert.equal(isRetryableError(httpError(501)), false);
+    assert.equal(isRetryableError(new Error('bug')), false);
+});
+
+test('getRetryAfterMs reads milliseconds, seconds and HTTP dates', () => {
+    assert.equal(getRetryAfterMs({ headers: { 'retry-after-ms': '250' } }), 250);
+    assert.equal(getRetryAfterMs({ headers: { 'retry-after': '3' } }), 3000);
+    assert.equal(getRetryAfterMs({ headers: new Map([['retry-after', '2']]) }), 2000);
+
+    const later = getRetryAfterMs({ headers: { 'retry-after': new Date(Date.now() + 60000).toUTCString() } });
+    assert.ok(later > 55000 && later <= 60000);
+
+    assert.equal(getRetryAfterMs({ headers: { 'retry-after': 'soon' } }), null);
+    assert.equal(getRetryAfterMs(new Error('no headers')), null);
+});
+
+test('run backs off exponentially with jitter between retries', async t => {
+    t.mock.method(Math, 'random', () => 0);
+    const delays = [];
+    const scheduler = createScheduler({ baseDelayMs: 4, onRetry: (label, error, attempt, delay) => delays.push(delay) });
+    const task = failingTask([httpError(503), httpError(503), httpError(503)]);
+
+    assert.equal(await scheduler.run(task, 'review'), 'done');
+
+    assert.equal(task.calls, 4);
+    // The lowest jitter halves the doubling delay
+    assert.deepEqual(delays, [2, 4, 8]);
+});
+
+test('run caps the backoff at the maximum delay', async t => {
+    t.mock.method(Math, 'random', () => 0.999);
+    const delays = [];
+    const scheduler = createScheduler({ baseDelayMs: 4, maxDelayMs: 6, onRetry: (label, error, attempt, delay) => delays.push(delay) });
+
+    await scheduler.run(failingTask([httpError(500), httpError(500), httpError(500)]));
+
+    assert.ok(delays[0] < 4);
+    assert.deepEqual(delays.slice(1), [6, 6]);
+});
+
+test('run waits as long as Retry-After asks, up to the maximum delay', async () => {
+    const delays = [];
+    const scheduler = createScheduler({ baseDelayMs: 1000, maxDelayMs: 20, onRetry: (label, error, attempt, delay) => delays.push(delay) });
+
+    await scheduler.run(failingTask([
+        httpError(429, { 'retry-after-ms': '5' }),
+        httpError(429, { 'retry-after': '60' })
+    ]));
+
+    assert.deepEqual(delays, [5, 20]);
+});
+
+test('run gives up after the configured number of retries', async () => {
+    const scheduler = createScheduler({ retries: 2, baseDelayMs: 1 });
+    const task = failingTask([httpError(503), httpError(503), httpError(503), httpError(503)]);
+
+    await assert.rejects(scheduler.run(task), /HTTP 503/);
+    assert.equal(task.calls, 3);
+});
+
+test('run does not retry errors that are not transient', async () => {
+    const scheduler = createScheduler({ baseDelayMs: 1 });
+    const task = failingTask([httpError(401)]);
+
+    await assert.rejects(scheduler.run(task), /HTTP 401/);
+    assert.equal(task.calls, 1);
+});
+
+test('run limits how many tasks run at once', async () => {
+    const scheduler = createScheduler({ concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+    const task = async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+    };
+
+    await Promise.all(Array.from({ length: 6 }, () => scheduler.run(task)));
+
+    assert.equal(maxRunning, 2);
+});
+
+test('withTimeout rejects with the message when the promise takes too long', async () => {
+    await assert.rejects(withTimeout(new Promise(() => {}), 5, 'Model call timed out'), /Model call timed out/);
+    assert.equal(await withTimeout(Promise.resolve('fast'), 1000, 'unused'), 'fast');
+});
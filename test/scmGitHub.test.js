@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWebhookEvent, openPullRequest } = require('../shared/scmGitHub');
+const { THREAD_STATUS } = require('../shared/scm');
+const { startApiServer } = require('./helpers/apiServer');
+
+const REPO = '/repos/contoso/web';
+
+const PULL_REQUEST = {
+    number: 7,
+    title: 'Add login',
+    body: 'Fixes #3',
+    draft: false,
+    html_url: 'https://github.com/contoso/web/pull/7',
+    user: { login: 'dana' },
+    head: { ref: 'feature/login', sha: 'a'.repeat(40), repo: { full_name: 'dana/web' } },
+    base: { ref: 'main', repo: { full_name: 'contoso/web' } }
+};
+
+const REVIEW_THREADS = {
+    data: {
+        repository: {
+            pullRequest: {
+                reviewThreads: {
+                    pageInfo: { hasNextPage: false, endCursor: null },
+                    nodes: [{
+                        id: 'PRRT_1',
+                        isResolved: false,
+                        path: 'src/login.js',
+                        line: 12,
+                        originalLine: 10,
+                        startLine: null,
+                        comments: { nodes: [
+                            { databaseId: 101, body: 'Possible null dereference.', author: { login: 'ai-reviewer' } },
+                            { databaseId: 102, body: '@ai explain', author: { login: 'sam' } }
+                        ] }
+                    }]
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Answer GitHub's GraphQL queries by the operation they contain
+ * @param {Object} request - GraphQL request
+ * @returns {{status: number, body: Object}} - Response
+ */
+function answerGraphql(request) {
+    const query = request.body.query;
+    if (query.includes('viewer')) return { status: 200, body: { data: { viewer: { login: 'ai-reviewer' } } } };
+    if (query.includes('reviewThreads')) return { status: 200, body: REVIEW_THREADS };
+    if (query.includes('resolveReviewThread')) return { status: 200, body: { data: {} } };
+    return { status: 200, body: { errors: [{ message: 'Unknown query' }] } };
+}
+
+/**
+ * Open the PR against a local server that stands in for the GitHub API
+ * @param {Object} t - Test context
+ * @param {Object} routes - Extra routes
+ * @returns {Promise<Object>} - Client, PR and the server
+ */
+async function open(t, routes = {}) {
+    const server = await startApiServer({
+        [`GET ${REPO}/pulls/7`]: PULL_REQUEST,
+        'POST /graphql': answerGraphql,
+        ...routes
+    });
+    t.after(server.close);
+    const { scm, pullRequest } = await openPullRequest({
+        GITHUB_TOKEN: 'token', GITHUB_API_URL: server.url, ORG: 'contoso', REPO_NAME: 'web', PR_ID: '7'
+    });
+    return { scm, pullRequest, server };
+}
+
+test('parseWebhookEvent reads PR pushes and review comment replies', () => {
+    const body = {
+        action: 'synchronize',
+        pull_request: { number: 7, title: 'Add login', head: { sha: 'a'.repeat(40) } },
+        repository: { name: 'web', owner: { login: 'contoso' } }
+    };
+
+    assert.deepEqual(parseWebhookEvent(body, { 'x-github-event': 'pull_request' }).event, {
+        location: { organization: 'contoso', project: 'web', repository: 'web' },
+        pullRequestId: 7,
+        title: 'Add login',
+        sourceCommitId: 'a'.repeat(40)
+    });
+
+    const reply = { ...body, action: 'created', comment: { id: 102, in_reply_to_id: 101, body: '@ai explain' } };
+    assert.deepEqual(parseWebhookEvent(reply, { 'x-github-event': 'pull_request_review_comment' }).event.comment,
+        { content: '@ai explain', threadId: 101, commentId: 102 });
+});
+
+test('parseWebhookEvent ignores other events and actions', () => {
+    assert.equal(parseWebhookEvent({}, { 'x-github-event': 'push' }).response.status, 200);
+    assert.match(parseWebhookEvent({ action: 'closed' }, { 'x-github-event': 'pull_request' }).response.message, /Ignoring pull_request action: closed/);
+    assert.equal(parseWebhookEvent({ action: 'opened', pull_request: { number: 7 } }, { 'x-github-event': 'pull_request' }).response.status, 400);
+});
+
+test('openPullRequest reads fork PRs from the base repository\'s refs', async t => {
+    const { pullRequest, server } = await open(t);
+
+    assert.deepEqual(pullRequest, {
+        id: 7,
+        title: 'Add login',
+        description: 'Fixes #3',
+        isDraft: false,
+        sourceBranch: 'pull/7/head',
+        targetBranch: 'main',
+        url: 'https://github.com/contoso/web/pull/7',
+        reference: '#7'
+    });
+    assert.equal(server.requests[0].headers.authorization, 'Bearer token');
+});
+
+test('getThreads combines review threads and conversation comments, trusting only the token\'s user', async t => {
+    const { scm } = await open(t, {
+        [`GET ${REPO}/issues/7/comments`]: [{ id: 55, body: '[AI Review] Review summary', user: { login: 'ai-reviewer[bot]' } }]
+    });
+
+    const [review, summary] = await scm.getThreads();
+
+    assert.equal(review.id, 101);
+    assert.equal(review.status, THREAD_STATUS.ACTIVE);
+    assert.equal(review.filePath, '/src/login.js');
+    assert.deepEqual([review.startLine, review.endLine], [12, 12]);
+    assert.deepEqual(review.comments.map(comment => comment.byReviewer), [true, false]);
+    assert.equal(summary.id, 'issue-55');
+    assert.equal(summary.comments[0].byReviewer, true);
+});
+
+test('getFileContent keeps JSON files as text and passes on the status of failed requests', async t => {
+    const { scm, server } = await open(t, {
+        [`GET ${REPO}/contents/config/app%20settings.json`]: () => ({ status: 200, body: '{"debug": true}' })
+    });
+
+    assert.equal(await scm.getFileContent('/config/app settings.json', 'feature/login'), '{"debug": true}');
+    assert.equal(server.requests.at(-1).query.ref, 'feature/login');
+    await assert.rejects(scm.getFileContent('/missing.js', 'main'), error => error.statusCode === 404 &&
+        /^Failed to retrieve content for \/missing\.js: GET .*\/contents\/missing\.js failed: HTTP 404 /.test(error.message));
+    assert.equal(await scm.getBranchHead('ai-corrections/7'), null);
+});
+
+test('canDismissFindings requires write access and someone other than the PR author', async t => {
+    const { scm } = await open(t, {
+        [`GET ${REPO}/collaborators/sam/permission`]: { permission: 'write' },
+        [`GET ${REPO}/collaborators/lee/permission`]: { permission: 'read' }
+    });
+
+    assert.equal(await scm.canDismissFindings('sam'), true);
+    assert.equal(await scm.canDismissFindings('lee'), false);
+    assert.equal(await scm.canDismissFindings('visitor'), false);
+    assert.equal(await scm.canDismissFindings('dana'), false);
+});
+
+test('setThreadStatus resolves and reopens review threads through GraphQL', async t => {
+    const { scm, server } = await open(t);
+
+    await scm.setThreadStatus(101, THREAD_STATUS.WONT_FIX);
+    await scm.setThreadStatus(101, THREAD_STATUS.ACTIVE);
+    await scm.setThreadStatus('issue-55', THREAD_STATUS.CLOSED);
+
+    const mutations = server.requests.filter(request => request.body?.query.startsWith('mutation'));
+    assert.deepEqual(mutations.map(request => request.body.query.match(/\{ (\w+)\(/)[1]), ['resolveReviewThread', 'unresolveReviewThread']);
+    assert.deepEqual(mutations[0].body.variables, { id: 'PRRT_1' });
+    await assert.rejects(scm.setThreadStatus(999, THREAD_STATUS.FIXED), /Review thread 999 not found/);
+});
+
+test('commitFiles creates a branch for new corrections and moves it for later ones', async t => {
+    const { scm, server } = await open(t, {
+        [`GET ${REPO}/git/commits/${'b'.repeat(40)}`]: { tree: { sha: 't1' } },
+        [`POST ${REPO}/git/trees`]: { sha: 't2' },
+        [`POST ${REPO}/git/commits`]: { sha: 'c'.repeat(40) },
+        [`POST ${REPO}/git/refs`]: {},
+        [`PATCH ${REPO}/git/refs/heads/ai-corrections/7`]: {}
+    });
+    const files = [{ path: '/src/login.js', content: 'fixed' }];
+
+    await scm.commitFiles({ branch: 'ai-corrections/7', parentCommitId: 'b'.repeat(40), files, message: 'Fix' });
+    await scm.commitFiles({ branch: 'ai-corrections/7', parentCommitId: 'b'.repeat(40), oldCommitId: 'b'.repeat(40), files, message: 'Fix' });
+
+    const tree = server.requests.find(request => request.path === `${REPO}/git/trees`).body;
+    assert.deepEqual(tree, { base_tree: 't1', tree: [{ path: 'src/login.js', mode: '100644', type: 'blob', content: 'fixed' }] });
+    assert.deepEqual(server.requests.find(request => request.path === `${REPO}/git/refs`).body,
+        { ref: 'refs/heads/ai-corrections/7', sha: 'c'.repeat(40) });
+    assert.deepEqual(server.requests.find(request => request.method === 'PATCH').body, { sha: 'c'.repeat(40), force: false });
+});
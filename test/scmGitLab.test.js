@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWebhookEvent, openPullRequest } = require('../shared/scmGitLab');
+const { THREAD_STATUS } = require('../shared/scm');
+const { startApiServer } = require('./helpers/apiServer');
+
+const PROJECT = '/api/v4/projects/contoso%2Fplatform%2Fweb';
+const MR = `${PROJECT}/merge_requests/7`;
+
+const MERGE_REQUEST = {
+    iid: 7,
+    title: 'Add login',
+    description: 'Closes #3',
+    draft: true,
+    sha: 'a'.repeat(40),
+    source_branch: 'feature/login',
+    target_branch: 'main',
+    source_project_id: 11,
+    target_project_id: 11,
+    web_url: 'https://gitlab.com/contoso/platform/web/-/merge_requests/7',
+    author: { id: 5 },
+    diff_refs: { base_sha: 'b'.repeat(40), start_sha: 'b'.repeat(40), head_sha: 'a'.repeat(40) }
+};
+
+/**
+ * Open the merge request against a local server that stands in for the GitLab API
+ * @param {Object} t - Test context
+ * @param {Object} routes - Extra routes
+ * @param {Object} [mergeRequest] - Merge request to serve
+ * @returns {Promise<Object>} - Client, merge request and the server
+ */
+async function open(t, routes = {}, mergeRequest = MERGE_REQUEST) {
+    const server = await startApiServer({
+        [`GET ${MR}`]: mergeRequest,
+        'GET /api/v4/user': { id: 99 },
+        ...routes
+    });
+    t.after(server.close);
+    const { scm, pullRequest } = await openPullRequest({
+        GITLAB_TOKEN: 'token', GITLAB_URL: `${server.url}/`, PROJECT: 'contoso/platform', REPO_NAME: 'web', PR_ID: '7'
+    });
+    return { scm, pullRequest, server };
+}
+
+test('parseWebhookEvent places subgroup projects under their top-level group', () => {
+    const body = {
+        object_kind: 'merge_request',
+        object_attributes: { action: 'update', iid: 7, title: 'Add login', last_commit: { id: 'a'.repeat(40) } },
+        project: { path_with_namespace: 'contoso/platform/web' }
+    };
+
+    assert.deepEqual(parseWebhookEvent(body).event, {
+        location: { organization: 'contoso', project: 'contoso/platform', repository: 'web' },
+        pullRequestId: 7,
+        title: 'Add login',
+        sourceCommitId: 'a'.repeat(40)
+    });
+    assert.equal(parseWebhookEvent({ ...body, project: { path_with_namespace: 'web' } }).response.status, 400);
+    assert.match(parseWebhookEvent({ ...body, object_attributes: { action: 'close' } }).response.message, /Ignoring merge request action: close/);
+});
+
+test('parseWebhookEvent reads comments on merge requests only', () => {
+    const body = {
+        object_kind: 'note',
+        object_attributes: { noteable_type: 'MergeRequest', note: '@ai fix', discussion_id: 'd1', id: 301 },
+        merge_request: { iid: 7, title: 'Add login', last_commit: { id: 'a'.repeat(40) } },
+        project: { path_with_namespace: 'contoso/web' }
+    };
+
+    assert.deepEqual(parseWebhookEvent(body).event.comment, { content: '@ai fix', threadId: 'd1', commentId: 301 });
+    assert.match(parseWebhookEvent({ ...body, object_attributes: { noteable_type: 'Issue' } }).response.message, /Ignoring comment on Issue/);
+});
+
+test('openPullRequest reads the merge request, and fork merge requests from their head commit', async t => {
+    const { pullRequest, server } = await open(t);
+
+    assert.equal(pullRequest.sourceBranch, 'feature/login');
+    assert.equal(pullRequest.isDraft, true);
+    assert.equal(pullRequest.reference, '!7');
+    assert.equal(server.requests[0].headers['private-token'], 'token');
+
+    const fork = await open(t, {}, { ...MERGE_REQUEST, source_project_id: 12 });
+    assert.equal(fork.pullRequest.sourceBranch, 'a'.repeat(40));
+});
+
+test('getIterations lists merge request versions oldest first', async t => {
+    const { scm } = await open(t, {
+        [`GET ${MR}/versions`]: [{ id: 3, head_commit_sha: 'c'.repeat(40) }, { id: 2, head_commit_sha: 'a'.repeat(40) }]
+    });
+
+    assert.deepEqual(await scm.getIterations(), [{ id: 2, commitId: 'a'.repeat(40) }, { id: 3, commitId: 'c'.repeat(40) }]);
+});
+
+test('getThreads leaves out system notes and trusts only the token\'s user', async t => {
+    const { scm } = await open(t, {
+        [`GET ${MR}/discussions`]: [
+            { id: 'd1', notes: [
+                {
+                    id: 301,
+                    body: 'Possible null dereference.',
+                    author: { id: 99, name: 'AI Reviewer' },
+                    resolvable: true,
+                    resolved: false,
+                    position: { new_path: 'src/login.js', new_line: 12 }
+                },
+                { id: 302, body: '@ai explain', author: { id: 5, name: 'Dana' }, resolvable: true }
+            ] },
+            { id: 'd2', notes: [{ id: 303, body: 'added 1 commit', system: true }] },
+            { id: 'd3', notes: [{ id: 304, body: '[AI Review] Review summary', author: { id: 99 } }] }
+        ]
+    });
+
+    const threads = await scm.getThreads();
+
+    assert.deepEqual(threads.map(thread => [thread.id, thread.status]), [['d1', THREAD_STATUS.ACTIVE], ['d3', THREAD_STATUS.CLOSED]]);
+    assert.equal(threads[0].filePath, '/src/login.js');
+    assert.deepEqual([threads[0].startLine, threads[0].endLine], [12, 12]);
+    assert.deepEqual(threads[0].comments.map(comment => comment.byReviewer), [true, false]);
+});
+
+test('createThread anchors findings to their first line and stretches suggestions over the rest', async t => {
+    const { scm, server } = await open(t, { [`POST ${MR}/discussions`]: {}, [`POST ${MR}/notes`]: {} });
+
+    await scm.createThread({ content: 'Use a constant.\n```suggestion\nconst a = 1;\n```', filePath: '/src/login.js', startLine: 4, endLine: 6 });
+    await scm.createThread({ content: 'Summary' });
+
+    const [discussion, note] = server.requests.filter(request => request.method === 'POST');
+    assert.equal(discussion.body.body, 'Use a constant.\n```suggestion:-0+2\nconst a = 1;\n```');
+    assert.deepEqual(discussion.body.position, {
+        position_type: 'text',
+        base_sha: 'b'.repeat(40),
+        start_sha: 'b'.repeat(40),
+        head_sha: 'a'.repeat(40),
+        old_path: 'src/login.js',
+        new_path: 'src/login.js',
+        new_line: 4
+    });
+    assert.deepEqual(note.body, { body: 'Summary' });
+});
+
+test('canDismissFindings requires developer access and someone other than the author', async t => {
+    const { scm } = await open(t, {
+        [`GET ${PROJECT}/members/all/6`]: { access_level: 30 },
+        [`GET ${PROJECT}/members/all/7`]: { access_level: 20 }
+    });
+
+    assert.equal(await scm.canDismissFindings(6), true);
+    assert.equal(await scm.canDismissFindings(7), false);
+    assert.equal(await scm.canDismissFindings(8), false);
+    assert.equal(await scm.canDismissFindings(5), false);
+});
+
+test('commitFiles only starts a branch from the parent commit when it is new', async t => {
+    const { scm, server } = await open(t, { [`POST ${PROJECT}/repository/commits`]: {} });
+    const files = [{ path: '/src/login.js', content: 'fixed' }];
+
+    await scm.commitFiles({ branch: 'ai-corrections/7', parentCommitId: 'b'.repeat(40), files, message: 'Fix' });
+    await scm.commitFiles({ branch: 'ai-corrections/7', parentCommitId: 'c'.repeat(40), oldCommitId: 'c'.repeat(40), files, message: 'Fix' });
+
+    const [created, updated] = server.requests.filter(request => request.method === 'POST').map(request => request.body);
+    assert.equal(created.start_sha, 'b'.repeat(40));
+    assert.equal('start_sha' in updated, false);
+    assert.deepEqual(updated.actions, [{ action: 'update', file_path: 'src/login.js', content: 'fixed' }]);
+});
+
+test('getFileContent and getBranchHead handle missing files and branches', async t => {
+    const { scm } = await open(t, {
+        [`GET ${PROJECT}/repository/files/config%2Fapp.json/raw`]: () => ({ status: 200, body: '{"debug": true}' })
+    });
+
+    assert.equal(await scm.getFileContent('/config/app.json', 'main'), '{"debug": true}');
+    await assert.rejects(scm.getFileContent('/missing.js', 'main'), error => error.statusCode === 404);
+    assert.equal(await scm.getBranchHead('ai-corrections/7'), null);
+});
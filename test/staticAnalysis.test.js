@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runStaticAnalysis, isKnownIssue, formatKnownIssues } = require('../shared/staticAnalysis');
+const { parseGuidelines, createGuidelineSet } = require('../shared/guidelines');
+
+const SOURCE = [
+    'function load(id) {',
+    '    const unused = 1;',
+    '    console.log(id);',
+    '    debugger;',
+    '    return id;',
+    '}',
+    'module.exports = { load };'
+].join('\n');
+
+const GUIDELINES = createGuidelineSet([parseGuidelines(
+    '## Testing\n\n1. Don\'t commit focused tests. <!-- pattern: /\\.only\\(/ --> <!-- severity: major -->\n',
+    'guidelines.md'
+)]);
+
+/**
+ * Describe a changed file for the analyzers
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - File to analyze
+ */
+function makeFile(overrides = {}) {
+    return {
+        filePath: '/src/load.js',
+        content: SOURCE,
+        changedLines: new Set([1, 2, 3, 4, 5, 6, 7]),
+        guidelineSet: GUIDELINES,
+        eslintRules: {},
+        ...overrides
+    };
+}
+
+test('eslint reports built-in rule findings on changed lines, in line order', async () => {
+    const findings = await runStaticAnalysis(['eslint'], makeFile({ changedLines: new Set([2, 4]) }));
+
+    assert.deepEqual(findings.map(finding => [finding.lineNumber, finding.severity, finding.category]), [
+        [2, 'minor', 'maintainability'],
+        [4, 'major', 'correctness']
+    ]);
+    assert.match(findings[0].comment, /'unused' is assigned a value but never used\. \(ESLint `no-unused-vars`\)/);
+});
+
+test('eslintRules turn rules off, change their severity and add core rules', async () => {
+    const content = `${SOURCE}\nif (typeof load == 'function') load(1);`;
+    const findings = await runStaticAnalysis(['eslint'], makeFile({
+        content,
+        changedLines: new Set([3, 4, 8]),
+        eslintRules: { 'no-debugger': 'off', 'no-console': 'major', eqeqeq: 'nit' }
+    }));
+
+    assert.deepEqual(findings.map(finding => [finding.lineNumber, finding.severity]), [[3, 'major'], [8, 'nit']]);
+    assert.match(findings[1].comment, /ESLint `eqeqeq`/);
+});
+
+test('eslint ignores plugin rules instead of failing', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    const findings = await runStaticAnalysis(['eslint'], makeFile({ eslintRules: { 'react/jsx-key': 'major' } }));
+
+    assert.ok(findings.some(finding => finding.comment.includes('no-debugger')));
+    assert.equal(warn.mock.callCount(), 0);
+});
+
+test('eslint skips other languages and leaves files it can\'t parse to the model', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.deepEqual(await runStaticAnalysis(['eslint'], makeFile({ filePath: '/app.py', content: 'debugger' })), []);
+    assert.deepEqual(await runStaticAnalysis(['eslint'], makeFile({ content: 'function (' })), []);
+    assert.match(warn.mock.calls[0].arguments[0], /^ESLint could not parse \/src\/load\.js: /);
+});
+
+test('eslint parses TypeScript', async () => {
+    const content = 'export function load(id: string): string {\n    debugger;\n    return id;\n}\n';
+
+    const findings = await runStaticAnalysis(['eslint'], makeFile({ filePath: '/src/load.ts', content }));
+
+    assert.deepEqual(findings.map(finding => finding.lineNumber), [2]);
+});
+
+test('patterns report the guideline whose check matched a changed line', async () => {
+    const content = "it.only('loads', () => {});\nit.only('saves', () => {});\n";
+
+    const findings = await runStaticAnalysis(['patterns'], makeFile({ filePath: '/test/load.test.js', content, changedLines: new Set([2]) }));
+
+    assert.deepEqual(findings, [{
+        lineNumber: 2,
+        endLineNumber: 2,
+        comment: "[Testing 1] - Don't commit focused tests.",
+        severity: 'major',
+        category: 'testing'
+    }]);
+});
+
+test('runStaticAnalysis skips unknown analyzers', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.deepEqual(await runStaticAnalysis(['sonar'], makeFile()), []);
+    assert.match(warn.mock.calls[0].arguments[0], /Unknown static analyzer sonar\. Valid values: eslint, patterns/);
+});
+
+test('isKnownIssue and formatKnownIssues describe static findings to the model', () => {
+    const findings = [{ lineNumber: 4, endLineNumber: 5, comment: 'Unexpected \'debugger\' statement.', category: 'correctness' }];
+
+    assert.equal(isKnownIssue({ lineNumber: 5, category: 'correctness' }, findings), true);
+    assert.equal(isKnownIssue({ lineNumber: 5, category: 'security' }, findings), false);
+    assert.equal(isKnownIssue({ lineNumber: 6, category: 'correctness' }, findings), false);
+    assert.equal(formatKnownIssues([]), '');
+    assert.match(formatKnownIssues(findings), /^ALREADY REPORTED by static analysis.*\n- Line 4: Unexpected 'debugger' statement\.$/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatReviewSummary } = require('../shared/summary');
+
+/**
+ * Build a summary with no findings, files or extras
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} - Review summary
+ */
+function makeSummary(overrides = {}) {
+    return {
+        iterationId: 3,
+        model: 'openai/gpt-4o',
+        status: { state: 'succeeded', description: 'Passed', counts: { blocker: 0, major: 0, minor: 0, nit: 0 } },
+        files: [],
+        resolvedThreads: [],
+        skippedFiles: [],
+        failedFiles: [],
+        ...overrides
+    };
+}
+
+test('formatReviewSummary reports a clean review', () => {
+    const content = formatReviewSummary(makeSummary());
+
+    assert.match(content, /^\[AI Review\] \*\*Review summary\*\*/);
+    assert.match(content, /\*\*Looks good:\*\* no open findings\./);
+    assert.match(content, /Last run reviewed all changes up to iteration 3 using `openai\/gpt-4o`\./);
+    assert.doesNotMatch(content, /###/);
+});
+
+test('formatReviewSummary lists open findings per file and the failed status', () => {
+    const content = formatReviewSummary(makeSummary({
+        previousIterationId: 2,
+        status: {
+            state: 'failed',
+            description: '1 open finding(s) at or above major (1 major)',
+            counts: { blocker: 0, major: 1, minor: 2, nit: 0 }
+        },
+        files: [{ path: '/src/a|b.js', counts: { major: 1, minor: 2 } }],
+        resolvedThreads: [{ path: '/src/c.js', reason: 'fixed' }]
+    }));
+
+    assert.match(content, /\*\*Changes requested:\*\* 1 open finding\(s\) at or above major \(1 major\)\./);
+    assert.match(content, /changes from iteration 2 to 3/);
+    assert.match(content, /It resolved 1 earlier finding\(s\)/);
+    assert.match(content, /\| File \| Blocker \| Major \| Minor \| Nit \|/);
+    assert.match(content, /\| `\/src\/a\\\|b\.js` \| 0 \| 1 \| 2 \| 0 \|/);
+});
+
+test('formatReviewSummary mentions findings that are open but not blocking', () => {
+    const content = formatReviewSummary(makeSummary({
+        status: { state: 'succeeded', description: 'Passed', counts: { blocker: 0, major: 0, minor: 1, nit: 2 } }
+    }));
+
+    assert.match(content, /\*\*No blocking issues\*\*, but 3 open finding\(s\) are worth a look\./);
+});
+
+test('formatReviewSummary lists skipped and partly reviewed files', () => {
+    const content = formatReviewSummary(makeSummary({
+        skippedFiles: [{ path: '/package-lock.json', reason: 'lockfile or generated file' }],
+        failedFiles: [{ path: '/src/big.js', error: 'Model call timed out\nafter 240s' }]
+    }));
+
+    assert.match(content, /### Not fully reviewed\n\n\| File \| Error \|\n\|---\|---\|\n\| `\/src\/big\.js` \| Model call timed out after 240s \|/);
+    assert.match(content, /### Skipped[\s\S]*\| `\/package-lock\.json` \| lockfile or generated file \|/);
+});
+
+test('formatReviewSummary reports the outcome of the correction PR', () => {
+    const created = formatReviewSummary(makeSummary({
+        correctionPR: { status: 'created', reference: '!12', rejected: [{ path: '/src/a.js', reason: 'syntax error' }] }
+    }));
+    const failed = formatReviewSummary(makeSummary({
+        correctionPR: { status: 'failed', error: 'branch is protected', rejected: [] }
+    }));
+
+    assert.match(created, /Correction PR !12 was created\.\n- Left out `\/src\/a\.js`: syntax error/);
+    assert.match(failed, /The correction PR could not be created: branch is protected/);
+});
+
+test('formatReviewSummary says why corrections were skipped', () => {
+    const unchecked = formatReviewSummary(makeSummary({
+        correctionPR: { status: 'skipped', files: 0, reason: 'the source branch could not be read', rejected: [] }
+    }));
+    const invalid = formatReviewSummary(makeSummary({ correctionPR: { status: 'skipped', files: 0, rejected: [] } }));
+
+    assert.match(unchecked, /No correction PR was created because the source branch could not be read\./);
+    assert.match(invalid, /none of the suggested changes passed validation/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getRepositoryKey, createSuppression, findSuppression, getSuppressionStore } = require('../shared/suppressions');
+
+const DISMISSED = {
+    filePath: '/src/api/users.js',
+    category: 'security',
+    text: 'The user ID from the query string is used without validation [Security 2].\n<!-- ai-finding: {} -->',
+    threadId: 12
+};
+
+test('getRepositoryKey keeps repository hosts apart and ignores case', () => {
+    assert.equal(getRepositoryKey('azure', 'Contoso', 'Web', 'Web'), 'azure|contoso|web|web');
+    assert.notEqual(getRepositoryKey('github', 'contoso', 'web', 'web'), getRepositoryKey('gitlab', 'contoso', 'web', 'web'));
+});
+
+test('createSuppression covers the directory and extension of the dismissed file', () => {
+    const suppression = createSuppression(DISMISSED, 'wontFix', 7);
+
+    assert.equal(suppression.pathPattern, 'src/api/*.js');
+    assert.equal(suppression.guidelineId, 'Security 2');
+    assert.equal(suppression.comment, 'The user ID from the query string is used without validation [Security 2].');
+    assert.equal(suppression.reason, 'wontFix');
+    assert.equal(suppression.pullRequestId, 7);
+    assert.equal(createSuppression({ ...DISMISSED, filePath: '/Dockerfile' }, 'byDesign', 7).pathPattern, '*');
+});
+
+test('createSuppression gives the same dismissal the same ID', () => {
+    const first = createSuppression(DISMISSED, 'wontFix', 7);
+    const again = createSuppression({ ...DISMISSED, filePath: '/src/api/orders.js', threadId: 30 }, 'byDesign', 9);
+    const otherCategory = createSuppression({ ...DISMISSED, category: 'bug' }, 'wontFix', 7);
+
+    assert.match(first.id, /^[0-9a-f]{16}$/);
+    assert.equal(again.id, first.id);
+    assert.notEqual(otherCategory.id, first.id);
+});
+
+test('findSuppression matches similar findings in covered files only', () => {
+    const suppressions = [createSuppression(DISMISSED, 'wontFix', 7)];
+    const finding = { category: 'security', comment: 'User ID from the query string used without any validation [Security 2]' };
+
+    assert.equal(findSuppression(suppressions, finding, '/src/api/orders.js'), suppressions[0]);
+    assert.equal(findSuppression(suppressions, finding, '/src/api/v2/orders.js'), null);
+    assert.equal(findSuppression(suppressions, finding, '/src/api/orders.ts'), null);
+    assert.equal(findSuppression(suppressions, { ...finding, category: 'bug' }, '/src/api/orders.js'), null);
+    assert.equal(findSuppression(suppressions, { ...finding, comment: finding.comment.replace('Security 2', 'Security 3') }, '/src/api/orders.js'), null);
+    assert.equal(findSuppression(suppressions, { ...finding, comment: 'Missing error handling for the database call [Security 2]' }, '/src/api/orders.js'), null);
+});
+
+test('getSuppressionStore returns null when suppressions are turned off', () => {
+    assert.equal(getSuppressionStore({ SUPPRESSION_STORE: 'none' }), null);
+});
+
+test('the file store lists, replaces and removes suppressions per repository', async t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'suppressions-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const store = getSuppressionStore({ SUPPRESSION_STORE: 'file', SUPPRESSIONS_FILE: path.join(directory, 'suppressions.json') });
+    const repository = getRepositoryKey('azure', 'contoso', 'web', 'web');
+    const other = getRepositoryKey('github', 'contoso', 'web', 'web');
+    const suppression = createSuppression(DISMISSED, 'wontFix', 7);
+
+    assert.deepEqual(await store.list(repository), []);
+    await Promise.all([
+        store.save(repository, suppression),
+        store.save(repository, { ...suppression, reason: 'byDesign' }),
+        store.save(other, createSuppression({ ...DISMISSED, category: 'bug' }, 'wontFix', 3))
+    ]);
+
+    assert.deepEqual((await store.list(repository)).map(entry => entry.reason), ['byDesign']);
+    assert.equal(await store.remove(repository, 'unknown'), false);
+    assert.equal(await store.remove(repository, suppression.id), true);
+    assert.deepEqual(await store.list(repository), []);
+    assert.equal(await store.clear(other), 1);
+    assert.deepEqual(await store.list(other), []);
+});
+
+test('the file store reports unreadable files', async t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'suppressions-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const filePath = path.join(directory, 'suppressions.json');
+    fs.writeFileSync(filePath, '{not json');
+
+    const store = getSuppressionStore({ SUPPRESSION_STORE: 'file', SUPPRESSIONS_FILE: filePath });
+
+    await assert.rejects(store.list('azure|contoso|web|web'), /^Error: Failed to read suppressions from .*suppressions\.json: /);
+});
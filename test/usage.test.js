@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseModelPrices,
+    createUsageTracker,
+    createBudget,
+    formatCost,
+    getDailySpend,
+    addDailySpend
+} = require('../shared/usage');
+const { createMemoryTable } = require('./helpers/memoryTable');
+
+const REPOSITORY = 'azure|contoso|web|web';
+const DAY = new Date('2026-03-01T12:00:00Z');
+
+test('parseModelPrices adds MODEL_PRICES to the defaults and rejects malformed prices', () => {
+    const prices = parseModelPrices('{"llama3": {"input": 0, "output": 0}}');
+
+    assert.deepEqual(prices.llama3, { input: 0, output: 0 });
+    assert.deepEqual(prices['gpt-4o'], { input: 2.5, output: 10 });
+    assert.throws(() => parseModelPrices('{oops}'), /^Error: Invalid MODEL_PRICES: /);
+    assert.throws(() => parseModelPrices('{"llama3": {"input": "1"}}'), /Invalid MODEL_PRICES entry for llama3/);
+});
+
+test('the usage tracker prices reported usage by the longest matching model name', () => {
+    const tracker = createUsageTracker(parseModelPrices());
+    const message = {
+        content: '{}',
+        usage_metadata: { input_tokens: 1000000, output_tokens: 100000 },
+        response_metadata: { model_name: 'gpt-4o-mini-2024-07-18' }
+    };
+
+    const usage = tracker.record('openai/gpt-4o-mini', message, 5);
+
+    assert.deepEqual(usage, { promptTokens: 1000000, completionTokens: 100000, cost: 0.15 + 0.06 });
+    assert.equal(tracker.totals().estimated, false);
+});
+
+test('the usage tracker estimates tokens the provider did not report', () => {
+    const tracker = createUsageTracker(parseModelPrices());
+
+    tracker.record('azure/gpt-4', { content: 'x'.repeat(400) }, 2000);
+
+    const totals = tracker.totals();
+    assert.equal(totals.promptTokens, 2000);
+    assert.equal(totals.completionTokens, 100);
+    assert.equal(totals.estimated, true);
+    assert.ok(Math.abs(totals.cost - (2000 * 30 + 100 * 60) / 1e6) < 1e-12);
+});
+
+test('the usage tracker counts unpriced models as free and warns once', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const tracker = createUsageTracker(parseModelPrices());
+    const message = { content: '', usage_metadata: { input_tokens: 10, output_tokens: 5 } };
+
+    tracker.record('local/llama3', message, 0);
+    tracker.record('local/llama3', message, 0);
+
+    assert.equal(tracker.totals().cost, 0);
+    assert.deepEqual(tracker.totals().unpricedModels, ['local/llama3']);
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('formatCost shows small amounts with more precision', () => {
+    assert.equal(formatCost(0.01234), '$0.0123');
+    assert.equal(formatCost(0), '$0.00');
+    assert.equal(formatCost(12.5), '$12.50');
+});
+
+test('the budget stops a review once the PR or daily limit is reached', () => {
+    const budget = createBudget({ maxCostPerPR: 1, maxCostPerDay: 5, spentOnPR: 0.5, spentToday: 4.8 });
+
+    assert.equal(budget.getExceededReason(0.1), null);
+    assert.equal(budget.getExceededReason(0.2), 'review budget exceeded ($5.00 of $5.00 per day)');
+    assert.equal(createBudget({ maxCostPerPR: 1, spentOnPR: 0.5 }).getExceededReason(0.5),
+        'review budget exceeded ($1.00 of $1.00 per PR)');
+    assert.equal(createBudget({}).getExceededReason(1000), null);
+});
+
+test('daily spend adds up the reviews of a repository per day', async () => {
+    const table = createMemoryTable();
+    const usage = { promptTokens: 100, completionTokens: 10, cost: 0.25 };
+
+    assert.equal(await getDailySpend(table, REPOSITORY, DAY), 0);
+    await addDailySpend(table, REPOSITORY, usage, DAY);
+    await addDailySpend(table, REPOSITORY, usage, DAY);
+
+    assert.equal(await getDailySpend(table, REPOSITORY, DAY), 0.5);
+    assert.equal(await getDailySpend(table, REPOSITORY, new Date('2026-03-02T00:00:00Z')), 0);
+    assert.equal((await table.getEntity('azure|contoso|web|web', '2026-03-01')).reviews, 2);
+});
+
+test('addDailySpend retries when another review updated the day first', async () => {
+    const table = createMemoryTable();
+    const usage = { promptTokens: 100, completionTokens: 10, cost: 0.25 };
+    await addDailySpend(table, REPOSITORY, usage, DAY);
+
+    // A concurrent review adds its spend between this one's read and write, once
+    const getEntity = table.getEntity;
+    let raced = false;
+    table.getEntity = async (...args) => {
+        const entity = await getEntity(...args);
+        if (!raced) {
+            raced = true;
+            await addDailySpend({ ...table, getEntity }, REPOSITORY, usage, DAY);
+        }
+        return entity;
+    };
+
+    await addDailySpend(table, REPOSITORY, usage, DAY);
+
+    assert.equal(await getDailySpend(table, REPOSITORY, DAY), 0.75);
+});
+
+test('getDailySpend passes on storage errors other than a missing day', async () => {
+    const table = createMemoryTable();
+    table.getEntity = async () => { throw Object.assign(new Error('forbidden'), { statusCode: 403 }); };
+
+    await assert.rejects(getDailySpend(table, REPOSITORY, DAY), /forbidden/);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+    getWebhookAuthSettings,
+    isAuthConfigured,
+    verifyWebhookCredentials,
+    parseRepositoryUrl,
+    verifyRepositoryAllowed
+} = require('../shared/webhookAuth');
+
+const SECRET = 'webhook-secret';
+const BODY = '{"action":"opened","number":1}';
+
+/**
+ * Sign a payload the way GitHub does
+ * @param {string} body - Raw request body
+ * @param {string} secret - Webhook secret
+ * @returns {string} - X-Hub-Signature-256 header value
+ */
+function sign(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Encode a basic auth header
+ * @param {string} username - User name
+ * @param {string} password - Password
+ * @returns {string} - Authorization header value
+ */
+function basic(username, password) {
+    return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+test('getWebhookAuthSettings splits the allow-lists into lowercase entries', () => {
+    const settings = getWebhookAuthSettings({ WEBHOOK_SECRET: SECRET, ALLOWED_ORGANIZATIONS: ' Contoso, ,Fabrikam ' });
+
+    assert.equal(settings.secret, SECRET);
+    assert.deepEqual(settings.allowedOrganizations, ['contoso', 'fabrikam']);
+    assert.deepEqual(settings.allowedProjects, []);
+});
+
+test('isAuthConfigured needs a secret or both basic auth values', () => {
+    assert.equal(isAuthConfigured(getWebhookAuthSettings({})), false);
+    assert.equal(isAuthConfigured(getWebhookAuthSettings({ WEBHOOK_USERNAME: 'hook' })), false);
+    assert.equal(isAuthConfigured(getWebhookAuthSettings({ WEBHOOK_USERNAME: 'hook', WEBHOOK_PASSWORD: 'pw' })), true);
+});
+
+test('verifyWebhookCredentials accepts every request when no credentials are configured', () => {
+    assert.equal(verifyWebhookCredentials({ headers: {} }, getWebhookAuthSettings({})), null);
+});
+
+test('verifyWebhookCredentials accepts a GitHub signature of the raw body', () => {
+    const settings = getWebhookAuthSettings({ WEBHOOK_SECRET: SECRET });
+    const req = { rawBody: BODY, body: JSON.parse(BODY), headers: { 'x-hub-signature-256': sign(BODY, SECRET) } };
+
+    assert.equal(verifyWebhookCredentials(req, settings), null);
+});
+
+test('verifyWebhookCredentials rejects a signature made with another secret or over another body', () => {
+    const settings = getWebhookAuthSettings({ WEBHOOK_SECRET: SECRET });
+
+    const wrongSecret = { rawBody: BODY, headers: { 'x-hub-signature-256': sign(BODY, 'other') } };
+    const tampered = { rawBody: BODY.replace('1', '2'), headers: { 'x-hub-signature-256': sign(BODY, SECRET) } };
+
+    assert.equal(verifyWebhookCredentials(wrongSecret, settings).status, 401);
+    assert.equal(verifyWebhookCredentials(tampered, settings).status, 401);
+});
+
+test('verifyWebhookCredentials accepts the secret in the shared secret or GitLab token header', () => {
+    const settings = getWebhookAuthSettings({ WEBHOOK_SECRET: SECRET });
+
+    assert.equal(verifyWebhookCredentials({ headers: { 'x-webhook-secret': SECRET } }, settings), null);
+    assert.equal(verifyWebhookCredentials({ headers: { 'x-gitlab-token': SECRET } }, settings), null);
+    assert.equal(verifyWebhookCredentials({ headers: { 'x-gitlab-token': 'wrong' } }, settings).status, 401);
+});
+
+test('verifyWebhookCredentials checks basic auth', () => {
+    const settings = getWebhookAuthSettings({ WEBHOOK_USERNAME: 'hook', WEBHOOK_PASSWORD: 'p:ss' });
+
+    assert.equal(verifyWebhookCredentials({ headers: { authorization: basic('hook', 'p:ss') } }, settings), null);
+    assert.equal(verifyWebhookCredentials({ headers: { authorization: basic('hook', 'wrong') } }, settings).status, 401);
+    assert.equal(verifyWebhookCredentials({ headers: {} }, settings).status, 401);
+});
+
+test('parseRepositoryUrl reads both Azure DevOps URL formats', () => {
+    assert.deepEqual(parseRepositoryUrl('https://dev.azure.com/contoso/My%20Project/_git/web'), {
+        organization: 'contoso',
+        project: 'My Project',
+        repository: 'web'
+    });
+    assert.deepEqual(parseRepositoryUrl('https://contoso.visualstudio.com/DefaultCollection/Ops/_git/infra'), {
+        organization: 'contoso',
+        project: 'Ops',
+        repository: 'infra'
+    });
+    assert.throws(() => parseRepositoryUrl('https://dev.azure.com/contoso/web'), /Unrecognized repository URL/);
+});
+
+test('verifyRepositoryAllowed checks the organization and project allow-lists', () => {
+    const settings = getWebhookAuthSettings({ ALLOWED_ORGANIZATIONS: 'contoso', ALLOWED_PROJECTS: 'web,contoso/ops' });
+
+    assert.equal(verifyRepositoryAllowed({ organization: 'Contoso', project: 'Web', repository: 'a' }, settings), null);
+    assert.equal(verifyRepositoryAllowed({ organization: 'contoso', project: 'ops', repository: 'a' }, settings), null);
+    assert.equal(verifyRepositoryAllowed({ organization: 'fabrikam', project: 'web', repository: 'a' }, settings).status, 403);
+    assert.equal(verifyRepositoryAllowed({ organization: 'contoso', project: 'hr', repository: 'a' }, settings).status, 403);
+});